@@ -0,0 +1,16 @@
+// Planification des imports DBF automatiques (npm run dbf:scheduler), d'après config/config.env :
+//  - DBF_IMPORT_CRON       : expression cron de l'import planifié (ex. "0 2 * * *" tous les
+//                            jours à 2h) ; sans valeur, pas d'import planifié
+//  - DBF_IMPORT_CRON_MODE  : full (rechargement complet) ou incremental (défaut : full)
+//  - DBF_WATCH             : "true" pour surveiller les dossiers de dépôt des magasins ;
+//                            les dépôts via l'API sont alors importés par la surveillance seule
+//  - DBF_WATCH_STABLE_MS   : durée sans modification des fichiers avant import (défaut : 60 s)
+// Lu à l'appel, après le chargement de config/config.env.
+export const getSchedulerConfig = () => ({
+  cron: process.env.DBF_IMPORT_CRON || null,
+  cronMode: process.env.DBF_IMPORT_CRON_MODE || "full",
+  watch: process.env.DBF_WATCH === "true",
+  stableDelay: parseInt(process.env.DBF_WATCH_STABLE_MS, 10) || 60 * 1000,
+});
+
+export default getSchedulerConfig;
@@ -0,0 +1,77 @@
+// Registre des magasins et des entités DBF
+// Ajouter un magasin = ajouter une entrée dans `stores`.
+
+// Entités DBF importées pour chaque magasin (ordre d'importation)
+//  - file       : nom du fichier DBF dans le dossier du magasin
+//  - fileSuffix : suffixe du fichier modèle (models/bases/<DOSSIER>/<prefix><fileSuffix>.js)
+//  - modelSuffix: suffixe du nom de modèle Mongoose (<prefix><modelSuffix>)
+//  - keys       : clé naturelle utilisée par l'import incrémental
+export const ENTITIES = {
+  article: { file: "article.dbf", fileSuffix: "Article", modelSuffix: "Article", keys: ["NART"] },
+  classnum: { file: "classes.dbf", fileSuffix: "ClassNum", modelSuffix: "Classnum", keys: ["CLASSNUM"] },
+  fournisseur: { file: "fourniss.dbf", fileSuffix: "Fournisseur", modelSuffix: "Fournisseur", keys: ["FOURN"] },
+  client: { file: "clients.dbf", fileSuffix: "Client", modelSuffix: "Client", keys: ["TIERS"] },
+  facture: { file: "facture.dbf", fileSuffix: "Facture", modelSuffix: "Facture", keys: ["NUMFACT"] },
+  factureDetail: { file: "detail.dbf", fileSuffix: "FactureDetail", modelSuffix: "FactureDetails", keys: ["NUMFACT", "NL"] },
+  tier: { file: "tiers.dbf", fileSuffix: "Tier", modelSuffix: "Tier", keys: ["COMPTE", "TIERS"] },
+};
+
+export const ENTITY_NAMES = Object.keys(ENTITIES);
+
+// Liens entre entités d'un même magasin, résolus après l'import (utils/entityLinks.js) :
+// le code `from` de l'entité `entity` désigne le document de `target` dont le champ `to`
+// a la même valeur ; sa référence (ObjectId) est enregistrée dans le champ `field`.
+export const LINKS = [
+  { entity: "factureDetail", field: "facture", from: "NUMFACT", target: "facture", to: "NUMFACT" },
+  { entity: "factureDetail", field: "article", from: "NART", target: "article", to: "NART" },
+  { entity: "facture", field: "client", from: "TIERS", target: "client", to: "TIERS" },
+  { entity: "facture", field: "tier", from: "TIERS", target: "tier", to: "TIERS" },
+  { entity: "article", field: "fournisseur", from: "FOURN", target: "fournisseur", to: "FOURN" },
+  { entity: "article", field: "classe", from: "GROUPE", target: "classnum", to: "CLASSNUM" },
+];
+
+// Magasins
+//  - code   : identifiant utilisé par l'API et l'importeur
+//  - name   : nom d'affichage
+//  - folder : dossier DBF (_dbf/<folder>) et dossier des modèles (models/bases/<folder>)
+//  - prefix : préfixe des modèles Mongoose
+//  - encoding (optionnel) : encodage des champs texte DBF, chaîne ("cp850") ou
+//    objet { default: "cp850", article: "windows-1252" } ; détection automatique sinon
+const stores = [
+  { code: "AVB", name: "AVB", folder: "AVB", prefix: "Avb" },
+  { code: "AW", name: "AW", folder: "AW", prefix: "Aw" },
+  { code: "DQ", name: "DQ", folder: "DQ", prefix: "Dq" },
+  { code: "FMB", name: "FMB", folder: "FMB", prefix: "Fmb" },
+  { code: "HD", name: "HD", folder: "HD", prefix: "Hd" },
+  { code: "KONE", name: "Koné", folder: "KONE", prefix: "Kone" },
+  { code: "KOUMAC", name: "Koumac", folder: "KOUMAC", prefix: "Koumac" },
+  { code: "LD", name: "LD", folder: "LD", prefix: "Ld" },
+  { code: "LE_BROUSSARD", name: "Le Broussard", folder: "LE_BROUSSARD", prefix: "LeBroussard" },
+  { code: "MEARE", name: "Meare", folder: "MEARE", prefix: "Meare" },
+  { code: "PAITA_BRICOLAGE", name: "Paita Bricolage", folder: "PAITA_BRICOLAGE", prefix: "PaitaBricolage" },
+  { code: "QC", name: "QC", folder: "QC", prefix: "Qc" },
+  { code: "SITEC", name: "SITEC", folder: "SITEC", prefix: "Sitec" },
+  { code: "VKP", name: "VKP", folder: "VKP", prefix: "Vkp" },
+];
+
+// Liste des modèles attendus pour un magasin : { entity: { file, modelName } }
+const buildModelList = (store) =>
+  Object.fromEntries(
+    Object.entries(ENTITIES).map(([entity, def]) => [
+      entity,
+      {
+        file: `${store.prefix}${def.fileSuffix}.js`,
+        modelName: `${store.prefix}${def.modelSuffix}`,
+      },
+    ])
+  );
+
+export const STORES = stores.map((store) => ({ ...store, models: buildModelList(store) }));
+
+export const STORE_CODES = STORES.map((store) => store.code);
+
+// Recherche d'un magasin par code (insensible à la casse)
+export const getStore = (code) =>
+  STORES.find((store) => store.code === String(code || "").toUpperCase()) || null;
+
+export default STORES;
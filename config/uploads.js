@@ -0,0 +1,12 @@
+// Limites des dépôts de fichiers DBF (POST /api/v2/stores/:store/dbf), d'après config/config.env :
+//  - MAX_FILE_UPLOAD    : taille maximale d'un fichier déposé ou d'un fichier extrait
+//                         d'une archive zip, en octets (défaut : 512 Mo)
+//  - MAX_UPLOAD_EXTRACT : taille totale maximale des fichiers extraits des archives
+//                         d'un dépôt, en octets (défaut : 2 Go)
+// Lu à l'appel, après le chargement de config/config.env.
+export const getUploadConfig = () => ({
+  maxFileSize: parseInt(process.env.MAX_FILE_UPLOAD, 10) || 512 * 1024 * 1024,
+  maxExtractedSize: parseInt(process.env.MAX_UPLOAD_EXTRACT, 10) || 2 * 1024 * 1024 * 1024,
+});
+
+export default getUploadConfig;
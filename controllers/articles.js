@@ -0,0 +1,77 @@
+import ErrorResponse from "../utils/errorResponse.js";
+import asyncHandler from "../middleware/async.js";
+import { findInAllStores, mergeByNart } from "../utils/storeArticles.js";
+import { searchAllArticles, searchLimit } from "../utils/articleSearch.js";
+import { normalizeImportOptions } from "../utils/importOptions.js";
+import { articleAvailability } from "../utils/stockTransfers.js";
+
+// Get an article by NART, with its stock, prices and promotion in every store
+const getArticle = asyncHandler(async (req, res, next) => {
+  const [article] = mergeByNart(await findInAllStores({ NART: req.params.nart }));
+  if (!article) {
+    return next(
+      new ErrorResponse(`Article not found with code of ${req.params.nart}`, 404)
+    );
+  }
+  res.status(200).json({ success: true, data: article });
+});
+
+// Get the articles matching a barcode (GENCOD or alternate GENDOUBL) in every store
+const getArticlesByBarcode = asyncHandler(async (req, res, next) => {
+  const { gencod } = req.params;
+  const articles = mergeByNart(
+    await findInAllStores({ $or: [{ GENCOD: gencod }, { GENDOUBL: gencod }] })
+  );
+  if (!articles.length) {
+    return next(
+      new ErrorResponse(`Article not found with barcode of ${gencod}`, 404)
+    );
+  }
+  res.status(200).json({ success: true, count: articles.length, data: articles });
+});
+
+// Search articles by words across stores (all, or ?stores=QC,KONE), ranked by relevance.
+// Stores that fail are listed in skipped instead of failing the whole search
+const searchArticles = asyncHandler(async (req, res, next) => {
+  const { q, stores } = req.query;
+  if (!q || !String(q).trim()) {
+    return next(new ErrorResponse("Please provide a search query (q)", 400));
+  }
+
+  let storeCodes = null;
+  if (stores) {
+    try {
+      storeCodes = normalizeImportOptions({ stores }).stores;
+    } catch (err) {
+      return next(new ErrorResponse(err.message, 400));
+    }
+  }
+
+  const { fuzzy, results, withoutTextIndex, skipped } = await searchAllArticles(
+    String(q),
+    searchLimit(req.query.limit),
+    storeCodes
+  );
+
+  res.status(200).json({
+    success: true,
+    count: results.length,
+    fuzzy,
+    withoutTextIndex,
+    skipped,
+    data: results,
+  });
+});
+
+// Get the available stock (STOCK - RESERV) of an article in every store
+const getArticleAvailability = asyncHandler(async (req, res, next) => {
+  const availability = await articleAvailability(req.params.nart);
+  if (!availability) {
+    return next(
+      new ErrorResponse(`Article not found with code of ${req.params.nart}`, 404)
+    );
+  }
+  res.status(200).json({ success: true, data: availability });
+});
+
+export { getArticle, getArticlesByBarcode, searchArticles, getArticleAvailability };
@@ -0,0 +1,28 @@
+import ErrorResponse from "../utils/errorResponse.js";
+import asyncHandler from "../middleware/async.js";
+import User from "../models/User.js";
+
+// Login user
+const login = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  // Validate email & password
+  if (!email || !password) {
+    return next(new ErrorResponse("Please provide an email and password", 400));
+  }
+
+  // Check for user
+  const user = await User.findOne({ email }).select("+password");
+  if (!user || !(await user.matchPassword(password))) {
+    return next(new ErrorResponse("Invalid credentials", 401));
+  }
+
+  res.status(200).json({ success: true, token: user.getSignedJwtToken() });
+});
+
+// Get current logged in user
+const getMe = asyncHandler(async (req, res, next) => {
+  res.status(200).json({ success: true, data: req.user });
+});
+
+export { login, getMe };
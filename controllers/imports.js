@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import ErrorResponse from "../utils/errorResponse.js";
+import asyncHandler from "../middleware/async.js";
+import ImportRun, { checkpointKey } from "../models/ImportRun.js";
+import { normalizeImportOptions } from "../utils/importOptions.js";
+import { queueImport } from "../utils/importRunner.js";
+
+// Interval between two progress events (ms)
+const PROGRESS_INTERVAL = 1000;
+
+// Get all import runs
+const getImports = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// Get single import run
+const getImport = asyncHandler(async (req, res, next) => {
+  const importRun = await ImportRun.findById(req.params.id);
+  if (!importRun) {
+    return next(
+      new ErrorResponse(`Import not found with id of ${req.params.id}`, 404)
+    );
+  }
+  res.status(200).json({ success: true, data: importRun });
+});
+
+// Get rejected records of an import run, by row (run checked by filterByImportRun)
+const getImportRejects = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// Queue a new import run, executed by scripts/dbfToMongo.js
+const createImport = asyncHandler(async (req, res, next) => {
+  const { stores, entities, mode = "full" } = req.body;
+
+  if (!["full", "incremental"].includes(mode)) {
+    return next(new ErrorResponse(`Invalid import mode: ${mode}`, 400));
+  }
+
+  let options;
+  try {
+    options = normalizeImportOptions({ stores, entities, incremental: mode === "incremental" });
+  } catch (err) {
+    return next(new ErrorResponse(err.message, 400));
+  }
+
+  const importRun = await queueImport(options, req.user._id);
+
+  res.status(202).json({ success: true, data: importRun });
+});
+
+// Progress of an import run: finished files, then files in progress (checkpoints)
+const importProgress = (importRun) => {
+  const done = new Set(importRun.files.map((file) => checkpointKey(file.store, file.entity)));
+  const files = importRun.files.map((file) => ({
+    store: file.store,
+    entity: file.entity,
+    status: file.status,
+    read: file.read,
+    total: file.recordCount,
+    inserted: file.inserted,
+    updated: file.updated,
+    unchanged: file.unchanged,
+    removed: file.removed,
+    failed: file.failed,
+  }));
+
+  for (const [key, checkpoint] of Object.entries(importRun.checkpoints || {})) {
+    if (done.has(key)) continue;
+    const [store, entity] = key.split(":");
+    files.push({
+      store,
+      entity,
+      status: "running",
+      read: checkpoint.offset,
+      total: checkpoint.recordCount,
+      inserted: checkpoint.inserted,
+      updated: checkpoint.updated,
+      unchanged: checkpoint.unchanged,
+      failed: checkpoint.failed,
+    });
+  }
+
+  return {
+    id: importRun._id,
+    status: importRun.status,
+    mode: importRun.mode,
+    startedAt: importRun.startedAt,
+    finishedAt: importRun.finishedAt,
+    error: importRun.error,
+    files,
+  };
+};
+
+// Stream the progress of an import run (Server-Sent Events) until it ends.
+// The token may be passed as ?token= for EventSource clients (see queryToken)
+const getImportProgress = asyncHandler(async (req, res, next) => {
+  const importRun = await ImportRun.findById(req.params.id);
+  if (!importRun) {
+    return next(
+      new ErrorResponse(`Import not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  let timer = null;
+  let last = null;
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const stop = () => {
+    clearInterval(timer);
+    res.end();
+  };
+
+  const poll = async () => {
+    try {
+      const run = await ImportRun.findById(req.params.id).lean();
+      const progress = importProgress(run);
+      const data = JSON.stringify(progress);
+      if (data !== last) {
+        last = data;
+        send("progress", progress);
+      }
+      if (!["queued", "running"].includes(run.status)) {
+        send("end", { status: run.status });
+        stop();
+      }
+    } catch (err) {
+      send("error", { error: err.message });
+      stop();
+    }
+  };
+
+  timer = setInterval(poll, PROGRESS_INTERVAL);
+  req.on("close", () => clearInterval(timer));
+  await poll();
+});
+
+// Restrict advancedResults to the rejects of the requested import run (404 if unknown)
+const filterByImportRun = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id) || !(await ImportRun.exists({ _id: id }))) {
+    return next(new ErrorResponse(`Import not found with id of ${id}`, 404));
+  }
+  req.query.run = id;
+  next();
+});
+
+export {
+  getImports,
+  getImport,
+  createImport,
+  getImportProgress,
+  getImportRejects,
+  filterByImportRun,
+};
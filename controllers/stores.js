@@ -0,0 +1,319 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import ErrorResponse from "../utils/errorResponse.js";
+import asyncHandler from "../middleware/async.js";
+import { ENTITIES, ENTITY_NAMES, getStore } from "../config/stores.js";
+import { getUploadConfig } from "../config/uploads.js";
+import { getSchedulerConfig } from "../config/scheduler.js";
+import { getStoreModel } from "../models/bases/index.js";
+import ImportRun from "../models/ImportRun.js";
+import QualityReport from "../models/QualityReport.js";
+import { readDbfHeader } from "../utils/dbfHeader.js";
+import { DEFAULT_ENCODING } from "../utils/dbfEncoding.js";
+import exportToDbf, { droppedFields } from "../utils/dbfExport.js";
+import { normalizeImportOptions } from "../utils/importOptions.js";
+import { queueImport } from "../utils/importRunner.js";
+import { searchStoreArticles, searchLimit } from "../utils/articleSearch.js";
+import { reorderProposals } from "../utils/reorderProposals.js";
+
+// Entity of each DBF file name expected by the importer
+const ENTITY_BY_FILE = Object.fromEntries(
+  Object.entries(ENTITIES).map(([entity, { file }]) => [file, entity])
+);
+
+// Uploaded files as { name, path }, zip archives being expanded into `dir`
+// (only their .dbf entries: index and memo files are ignored).
+// Entries are checked against their declared size before extraction (adm-zip never
+// inflates past it): over MAX_FILE_UPLOAD each, or MAX_UPLOAD_EXTRACT in total, the
+// upload is rejected
+const collectUploads = (uploads, dir) => {
+  const { maxFileSize, maxExtractedSize } = getUploadConfig();
+  const files = [];
+  let extracted = 0;
+
+  for (const upload of Object.values(uploads).flat()) {
+    if (path.extname(upload.name).toLowerCase() !== ".zip") {
+      files.push({ name: upload.name, path: upload.tempFilePath });
+      continue;
+    }
+
+    const zip = new AdmZip(upload.tempFilePath);
+    for (const entry of zip.getEntries()) {
+      const name = path.basename(entry.entryName);
+      if (entry.isDirectory || name.startsWith(".") || path.extname(name).toLowerCase() !== ".dbf") {
+        continue;
+      }
+
+      if (entry.header.size > maxFileSize) {
+        throw new ErrorResponse(`${upload.name}: ${name} exceeds the maximum file size (${maxFileSize} bytes)`, 413);
+      }
+      extracted += entry.header.size;
+      if (extracted > maxExtractedSize) {
+        throw new ErrorResponse(
+          `${upload.name}: archives exceed the maximum extracted size (${maxExtractedSize} bytes)`,
+          413
+        );
+      }
+
+      const target = path.join(dir, `${files.length}-${name}`);
+      fs.writeFileSync(target, entry.getData());
+      files.push({ name, path: target });
+    }
+  }
+
+  return files;
+};
+
+// Upload DBF files of a store (optionally zipped) into its source folder, then import them.
+// Single trigger per upload: when the folder watcher is enabled (DBF_WATCH, see
+// config/scheduler.js), npm run dbf:scheduler imports the new files (incremental mode,
+// `mode` is ignored) and no import is queued here; otherwise the import is queued here
+const uploadStoreDbf = asyncHandler(async (req, res, next) => {
+  const store = getStore(req.params.store);
+  if (!store) {
+    return next(
+      new ErrorResponse(`Store not found with code of ${req.params.store}`, 404)
+    );
+  }
+
+  if (!req.files || !Object.keys(req.files).length) {
+    return next(new ErrorResponse("Please upload at least one DBF file", 400));
+  }
+
+  const { mode = "full" } = req.body;
+  if (!["full", "incremental"].includes(mode)) {
+    return next(new ErrorResponse(`Invalid import mode: ${mode}`, 400));
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dbf-upload-"));
+
+  try {
+    // Every file is checked before any of them replaces the current one
+    const accepted = new Map();
+    const errors = [];
+    for (const file of collectUploads(req.files, workDir)) {
+      const entity = ENTITY_BY_FILE[file.name.toLowerCase()];
+      if (!entity) {
+        errors.push(`${file.name}: unexpected file name (${Object.keys(ENTITY_BY_FILE).join(", ")})`);
+        continue;
+      }
+      if (accepted.has(entity)) {
+        errors.push(`${file.name}: uploaded more than once`);
+        continue;
+      }
+
+      try {
+        accepted.set(entity, { ...file, header: await readDbfHeader(file.path) });
+      } catch (err) {
+        errors.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    if (errors.length) {
+      return next(new ErrorResponse(errors.join("; "), 400));
+    }
+    if (!accepted.size) {
+      return next(new ErrorResponse("No DBF file found in upload", 400));
+    }
+
+    const options = normalizeImportOptions({
+      stores: store.code,
+      entities: [...accepted.keys()],
+      incremental: mode === "incremental",
+    });
+
+    // Atomic replacement: an import in progress keeps reading the previous file
+    const folder = path.join(options.source, store.folder);
+    await fs.promises.mkdir(folder, { recursive: true });
+    const files = [];
+    for (const [entity, { path: uploaded, header }] of accepted) {
+      const target = path.join(folder, ENTITIES[entity].file);
+      await fs.promises.copyFile(uploaded, `${target}.upload`);
+      await fs.promises.rename(`${target}.upload`, target);
+      files.push({
+        entity,
+        file: ENTITIES[entity].file,
+        recordCount: header.recordCount,
+        updatedAt: header.updatedAt,
+      });
+    }
+
+    if (getSchedulerConfig().watch) {
+      return res.status(202).json({ success: true, data: { files, trigger: "watcher", import: null } });
+    }
+
+    const importRun = await queueImport(options, req.user._id);
+
+    res.status(202).json({ success: true, data: { files, trigger: "api", import: importRun } });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    await Promise.all(
+      Object.values(req.files)
+        .flat()
+        .map((upload) => fs.promises.rm(upload.tempFilePath, { force: true }))
+    );
+  }
+});
+
+// Export an entity of a store as a DBF file, with the field descriptors of its last import
+const exportStoreDbf = asyncHandler(async (req, res, next) => {
+  const store = getStore(req.params.store);
+  if (!store) {
+    return next(
+      new ErrorResponse(`Store not found with code of ${req.params.store}`, 404)
+    );
+  }
+
+  const { entity } = req.params;
+  if (!ENTITY_NAMES.includes(entity)) {
+    return next(new ErrorResponse(`Entity not found with name of ${entity}`, 404));
+  }
+
+  const imported = await ImportRun.lastImportedFile(store.code, entity);
+  if (!imported) {
+    return next(
+      new ErrorResponse(`No successful import of ${store.code}/${entity}: field descriptors unknown`, 404)
+    );
+  }
+
+  // Columns unknown to the schema were not kept at import: exporting would blank them
+  const dropped = droppedFields(imported);
+  if (dropped.length) {
+    return next(
+      new ErrorResponse(
+        `Export of ${store.code}/${entity} would lose the columns not kept at import: ${dropped.join(", ")}`,
+        409
+      )
+    );
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dbf-export-"));
+  const filePath = path.join(workDir, ENTITIES[entity].file);
+
+  try {
+    await exportToDbf(getStoreModel(store.code, entity), imported.fields, filePath, {
+      encoding: imported.encoding || DEFAULT_ENCODING,
+    });
+  } catch (err) {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    throw err;
+  }
+
+  res.download(filePath, ENTITIES[entity].file, () => {
+    fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+});
+
+// Get the data-quality report of a store: one entry per rule, with the IDs of the offending records
+const getStoreQuality = asyncHandler(async (req, res, next) => {
+  const store = getStore(req.params.store);
+  if (!store) {
+    return next(
+      new ErrorResponse(`Store not found with code of ${req.params.store}`, 404)
+    );
+  }
+
+  const report = await QualityReport.findOne({ store: store.code });
+  if (!report) {
+    return next(new ErrorResponse(`No quality report for store ${store.code}: run an import first`, 404));
+  }
+
+  res.status(200).json({ success: true, data: report });
+});
+
+// Resolve the model of an entity of a store (:store/:entity) into req.storeModel
+const resolveStoreEntity = (req, res, next) => {
+  const store = getStore(req.params.store);
+  if (!store) {
+    return next(
+      new ErrorResponse(`Store not found with code of ${req.params.store}`, 404)
+    );
+  }
+
+  const { entity } = req.params;
+  if (!ENTITY_NAMES.includes(entity)) {
+    return next(new ErrorResponse(`Entity not found with name of ${entity}`, 404));
+  }
+
+  req.storeModel = getStoreModel(store.code, entity);
+  next();
+};
+
+// Model resolved by resolveStoreEntity, for advancedResults
+const storeEntityModel = (req) => req.storeModel;
+
+// Get all records of an entity of a store
+const getStoreRecords = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// Get single record of an entity of a store
+const getStoreRecord = asyncHandler(async (req, res, next) => {
+  const record = await req.storeModel.findById(req.params.id);
+  if (!record) {
+    return next(
+      new ErrorResponse(`${req.params.entity} not found with id of ${req.params.id}`, 404)
+    );
+  }
+  res.status(200).json({ success: true, data: record });
+});
+
+// Search the articles of a store by words, ranked by relevance
+const searchStoreArticleList = asyncHandler(async (req, res, next) => {
+  const store = getStore(req.params.store);
+  if (!store) {
+    return next(
+      new ErrorResponse(`Store not found with code of ${req.params.store}`, 404)
+    );
+  }
+
+  const { q } = req.query;
+  if (!q || !String(q).trim()) {
+    return next(new ErrorResponse("Please provide a search query (q)", 400));
+  }
+
+  const { fuzzy, textIndex, results } = await searchStoreArticles(
+    store.code,
+    String(q),
+    searchLimit(req.query.limit)
+  );
+
+  res.status(200).json({ success: true, count: results.length, fuzzy, textIndex, data: results });
+});
+
+// Get draft purchase orders per supplier (FOURN) for the articles of a store to reorder.
+// ?fourn=<code> limits the proposals to one supplier
+const getReorderProposals = asyncHandler(async (req, res, next) => {
+  const store = getStore(req.params.store);
+  if (!store) {
+    return next(
+      new ErrorResponse(`Store not found with code of ${req.params.store}`, 404)
+    );
+  }
+
+  let fourn = null;
+  if (req.query.fourn !== undefined) {
+    fourn = Number(req.query.fourn);
+    if (!Number.isInteger(fourn)) {
+      return next(new ErrorResponse(`Invalid supplier code: ${req.query.fourn}`, 400));
+    }
+  }
+
+  const orders = await reorderProposals(store.code, fourn);
+
+  res.status(200).json({ success: true, store: store.code, count: orders.length, data: orders });
+});
+
+export {
+  uploadStoreDbf,
+  exportStoreDbf,
+  getStoreQuality,
+  resolveStoreEntity,
+  storeEntityModel,
+  getStoreRecords,
+  getStoreRecord,
+  searchStoreArticleList,
+  getReorderProposals,
+};
@@ -0,0 +1,44 @@
+import ErrorResponse from "../utils/errorResponse.js";
+import asyncHandler from "../middleware/async.js";
+import { getStore } from "../config/stores.js";
+import { suggestTransfers, MAX_TRANSFER_ARTICLES } from "../utils/stockTransfers.js";
+
+// Suggest transfers to a store from stores holding surplus stock.
+// Body: { store, articles } — articles (NART list) defaults to every article of the store below SMINI.
+// Every article found is returned (empty transfers when nothing is needed or available);
+// requested codes missing from the store are listed in notFound
+const suggestStoreTransfers = asyncHandler(async (req, res, next) => {
+  const { store: code, articles } = req.body;
+
+  const store = getStore(code);
+  if (!store) {
+    return next(new ErrorResponse(`Store not found with code of ${code}`, 404));
+  }
+
+  let narts = null;
+  if (articles !== undefined) {
+    narts = (Array.isArray(articles) ? articles : String(articles).split(","))
+      .map((nart) => String(nart).trim())
+      .filter(Boolean);
+    if (!narts.length) {
+      return next(new ErrorResponse("Please provide at least one article code", 400));
+    }
+    if (narts.length > MAX_TRANSFER_ARTICLES) {
+      return next(
+        new ErrorResponse(`Too many articles: ${narts.length} (max ${MAX_TRANSFER_ARTICLES})`, 400)
+      );
+    }
+  }
+
+  const { suggestions, notFound } = await suggestTransfers(store.code, narts);
+
+  res.status(200).json({
+    success: true,
+    store: store.code,
+    count: suggestions.length,
+    notFound,
+    data: suggestions,
+  });
+});
+
+export { suggestStoreTransfers };
@@ -1,6 +1,17 @@
-const advancedResults = (model, populate) => async (req, res, next) => {
+import asyncHandler from './async.js';
+
+// Maximum page size (?limit)
+const MAX_LIMIT = 100;
+
+// `resource` is either a model or a function returning the model of the request
+// (per-store DBF entities, see resolveStoreEntity in controllers/stores.js).
+// `defaultSort` applies without ?sort: use an indexed field on large collections.
+// Errors (e.g. a filter value that does not cast) are passed to the error handler.
+const advancedResults = (resource, populate, defaultSort = '-createdAt') => asyncHandler(async (req, res, next) => {
   let query;
 
+  const model = resource.modelName ? resource : resource(req);
+
   // Copy req.query
   const reqQuery = { ...req.query };
 
@@ -17,7 +28,8 @@ const advancedResults = (model, populate) => async (req, res, next) => {
   queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
 
   // Finding resource
-  query = model.find(JSON.parse(queryStr));
+  const filter = JSON.parse(queryStr);
+  query = model.find(filter);
 
   // Select Fields
   if (req.query.select) {
@@ -25,20 +37,20 @@ const advancedResults = (model, populate) => async (req, res, next) => {
     query = query.select(fields);
   }
 
-  // Sort
-  if (req.query.sort) {
-    const sortBy = req.query.sort.split(',').join(' ');
-    query = query.sort(sortBy);
-  } else {
-    query = query.sort('-createdAt');
+  // Sort, with _id as tie-breaker so that pages are stable (documents inserted by the
+  // same batch share their createdAt)
+  const sortFields = req.query.sort ? req.query.sort.split(',') : defaultSort.split(' ');
+  if (!sortFields.some(field => field.replace(/^-/, '') === '_id')) {
+    sortFields.push('_id');
   }
+  query = query.sort(sortFields.join(' '));
 
   // Pagination
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), MAX_LIMIT);
   const startIndex = (page - 1) * limit;
   const endIndex = page * limit;
-  const total = await model.countDocuments();
+  const total = await model.countDocuments(filter);
 
   query = query.skip(startIndex).limit(limit);
 
@@ -74,7 +86,7 @@ const advancedResults = (model, populate) => async (req, res, next) => {
   };
 
   next();
-};
+});
 
 
 export default  advancedResults;
\ No newline at end of file
@@ -1,10 +1,10 @@
-const jwt = require('jsonwebtoken');
-const asyncHandler = require('./async');
-const ErrorResponse = require('../utils/errorResponse');
-const User = require('../models/User');
+import jwt from 'jsonwebtoken';
+import asyncHandler from './async.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import User from '../models/User.js';
 
 // Protect routes
-exports.protect = asyncHandler(async (req, res, next) => {
+const protect = asyncHandler(async (req, res, next) => {
   let token;
 
   if (
@@ -29,15 +29,30 @@ exports.protect = asyncHandler(async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     req.user = await User.findById(decoded.id);
-
-    next();
   } catch (err) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
+
+  // Token of a deleted user
+  if (!req.user) {
+    return next(new ErrorResponse('Not authorized to access this route', 401));
+  }
+
+  next();
 });
 
+// Take the token from ?token= when no Authorization header is sent: EventSource
+// (Server-Sent Events) cannot set headers. Only for streaming routes, before protect
+const queryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  delete req.query.token;
+  next();
+};
+
 // Grant access to specific roles
-exports.authorize = (...roles) => {
+const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
       return next(
@@ -50,3 +65,5 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+export { protect, queryToken, authorize };
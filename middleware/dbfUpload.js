@@ -0,0 +1,22 @@
+import os from "os";
+import fileupload from "express-fileupload";
+import { getUploadConfig } from "../config/uploads.js";
+
+// Multipart parser of DBF uploads (temp files rather than memory), mounted on the upload
+// route only, after protect/authorize: requests refused earlier never write a temp file.
+// Built on first use, once config/config.env is loaded.
+let parser;
+
+const dbfUpload = (req, res, next) => {
+  if (!parser) {
+    parser = fileupload({
+      useTempFiles: true,
+      tempFileDir: os.tmpdir(),
+      limits: { fileSize: getUploadConfig().maxFileSize },
+      abortOnLimit: true,
+    });
+  }
+  parser(req, res, next);
+};
+
+export default dbfUpload;
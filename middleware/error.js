@@ -8,11 +8,17 @@ const errorHandler = (err, req, res, next) => {
   
   console.log(err);
   // Mongoose bad ObjectId
-  if (err.name === "CastError") {
+  if (err.name === "CastError" && err.path === "_id") {
     const message = `Resource not found with id of ${err.value}`;
     error = new ErrorResponse(message, 404);
   }
 
+  // Mongoose query filter value of the wrong type (?field=value)
+  if (err.name === "CastError" && err.path !== "_id") {
+    const message = `Invalid value ${JSON.stringify(err.value)} for field ${err.path}`;
+    error = new ErrorResponse(message, 400);
+  }
+
   // Mongoose duplicate key
   if (err.code === 11000) {
     const message = "Duplicate field value entered";
@@ -25,7 +31,7 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
-  res.status(err.statusCode || 500).json({
+  res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || "Server Error",
   });
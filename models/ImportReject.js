@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Enregistrement DBF rejeté lors d'un import (quarantaine)
+const ImportRejectSchema = new mongoose.Schema(
+  {
+    run: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ImportRun",
+      required: true,
+    },
+    store: { type: String, required: true }, // Code magasin
+    entity: { type: String, required: true }, // Entité (article, facture...)
+    file: { type: String, required: true }, // Nom du fichier DBF
+    row: { type: Number, required: true }, // Numéro de ligne dans le fichier DBF
+    raw: { type: mongoose.Schema.Types.Mixed, required: true }, // Valeurs DBF brutes
+    error: { type: String, required: true }, // Erreur de validation ou d'écriture
+    replayedAt: Date, // Date de réimport réussi
+    replayError: String, // Erreur du dernier réimport
+  },
+  { timestamps: true, minimize: false }
+);
+
+ImportRejectSchema.index({ run: 1, store: 1, entity: 1, row: 1 });
+
+export default mongoose.model("ImportReject", ImportRejectSchema);
@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+// Nombre maximal d'erreurs conservées par fichier
+export const MAX_FILE_ERRORS = 20;
+
+// Statistiques d'import d'un fichier DBF
+const ImportFileSchema = new mongoose.Schema(
+  {
+    store: { type: String, required: true }, // Code magasin
+    entity: { type: String, required: true }, // Entité (article, facture...)
+    file: { type: String, required: true }, // Nom du fichier DBF
+    status: {
+      type: String,
+      enum: ["success", "aborted", "drift", "missing", "failed"],
+      default: "success",
+    },
+    checksum: String, // Empreinte SHA-1 de l'en-tête DBF
+    encoding: String, // Encodage des champs texte
+    encodingSource: String, // Origine de l'encodage (config, header, heuristic, default)
+    fields: [
+      {
+        _id: false,
+        name: String,
+        type: { type: String },
+        size: Number,
+        decimalPlaces: Number,
+      },
+    ], // Descripteurs de champs du fichier DBF
+    drift: {
+      unknown: [String],
+      missing: [String],
+      types: [{ _id: false, field: String, dbfType: String, schemaType: String }],
+      sizes: [{ _id: false, field: String, size: Number, maxlength: Number }],
+      changed: [{ _id: false, field: String, from: Object, to: Object }],
+    }, // Dérive de schéma détectée (voir utils/schemaDrift.js)
+    recordCount: { type: Number, default: 0 }, // Enregistrements annoncés par l'en-tête
+    read: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    firstErrors: [{ row: Number, message: String }], // Premières erreurs rencontrées
+    message: String, // Motif d'annulation ou d'échec
+    startedAt: Date,
+    finishedAt: Date,
+    duration: Number, // Durée en millisecondes
+  },
+  { _id: false }
+);
+
+// Point de reprise d'un fichier en cours d'import : nombre d'enregistrements
+// lus et compteurs au moment du dernier lot validé (aussi utilisé pour suivre
+// la progression d'un import en cours)
+const CheckpointSchema = new mongoose.Schema(
+  {
+    offset: { type: Number, default: 0 },
+    recordCount: { type: Number, default: 0 }, // Enregistrements annoncés par l'en-tête
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    updatedAt: Date,
+  },
+  { _id: false }
+);
+
+// Résolution d'un lien entre entités d'un magasin après l'import (voir utils/entityLinks.js)
+const LinkReportSchema = new mongoose.Schema(
+  {
+    store: { type: String, required: true }, // Code magasin
+    entity: { type: String, required: true }, // Entité portant la référence
+    field: { type: String, required: true }, // Champ de la référence
+    target: { type: String, required: true }, // Entité référencée
+    linked: { type: Number, default: 0 }, // Documents reliés
+    unlinked: { type: Number, default: 0 }, // Documents dont le code n'a pas de correspondance
+    orphanCount: { type: Number, default: 0 }, // Codes orphelins distincts
+    orphans: [{ _id: false, code: String, count: Number }], // Codes orphelins les plus fréquents
+    error: String, // Erreur ayant interrompu la résolution du lien
+  },
+  { _id: false }
+);
+
+// Clé d'un point de reprise dans `checkpoints`
+export const checkpointKey = (store, entity) => `${store}:${entity}`;
+
+const ImportRunSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: ["full", "incremental"],
+      default: "full",
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "success", "partial", "failed"],
+      default: "running",
+    }, // "queued" : demandé via l'API, en attente d'exécution
+    stores: [String], // Magasins traités
+    entities: [String], // Entités demandées
+    since: Date, // Factures traitées à partir de cette date (--since)
+    source: String, // Dossier des fichiers DBF (--source)
+    encoding: String, // Encodage imposé (--encoding)
+    drift: String, // Politique de dérive de schéma (--drift)
+    files: [ImportFileSchema],
+    links: [LinkReportSchema], // Liens résolus après l'import, par magasin
+    checkpoints: {
+      type: Map,
+      of: CheckpointSchema,
+      default: {},
+    }, // Points de reprise des fichiers en cours, par "MAGASIN:entité"
+    resumes: { type: Number, default: 0 }, // Nombre de reprises (--resume)
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    }, // Administrateur ayant demandé l'import via l'API
+    error: String, // Erreur critique ayant interrompu l'import
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    duration: Number, // Durée en millisecondes
+  },
+  { timestamps: true }
+);
+
+// Statistiques du dernier import réussi du fichier d'une entité d'un magasin
+// (descripteurs de champs et encodage), ou null
+ImportRunSchema.statics.lastImportedFile = async function (store, entity) {
+  const run = await this.findOne(
+    { files: { $elemMatch: { store, entity, status: "success", "fields.0": { $exists: true } } } },
+    { "files.$": 1 }
+  ).sort("-startedAt");
+
+  return run ? run.files[0] : null;
+};
+
+export default mongoose.model("ImportRun", ImportRunSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Nombre maximal d'identifiants conservés par règle
+export const MAX_RULE_IDS = 1000;
+
+// Résultat d'une règle de qualité des données (voir utils/dataQuality.js)
+const QualityRuleResultSchema = new mongoose.Schema(
+  {
+    rule: { type: String, required: true }, // Identifiant de la règle
+    entity: { type: String, required: true }, // Entité des documents signalés
+    label: String, // Description de la règle
+    severity: {
+      type: String,
+      enum: ["error", "warning"],
+      default: "warning",
+    },
+    count: { type: Number, default: 0 }, // Nombre de documents en anomalie
+    ids: [mongoose.Schema.ObjectId], // Identifiants des documents (MAX_RULE_IDS premiers)
+    truncated: { type: Boolean, default: false }, // Liste des identifiants tronquée
+    error: String, // Erreur ayant empêché l'évaluation de la règle
+    checkedAt: Date,
+  },
+  { _id: false }
+);
+
+// Dernier état de la qualité des données d'un magasin, règle par règle
+const QualityReportSchema = new mongoose.Schema(
+  {
+    store: { type: String, required: true, unique: true }, // Code magasin
+    run: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ImportRun",
+    }, // Dernier import ayant déclenché le contrôle
+    rules: [QualityRuleResultSchema],
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("QualityReport", QualityReportSchema);
@@ -1,15 +1,3 @@
-import mongoose from "mongoose";
+import { createStoreModel } from "../factory.js";
 
-// Définition du schéma pour le fichier DBF TIERS
-const HdTierSchema = new mongoose.Schema(
-  {
-    COMPTE: { type: String, required: true }, // Code du compte
-    TIERS: { type: Number, default: 0 }, // Numéro de tiers
-    NOM: { type: String }, // Nom associé au compte
-    DEBIT: { type: Number, default: 0 }, // Montant du débit
-    CREDIT: { type: Number, default: 0 }, // Montant du crédit
-  },
-  { timestamps: true } // Ajoute les champs `createdAt` et `updatedAt`
-);
-
-export default mongoose.model("HdTier", HdTierSchema);
+export default createStoreModel("HD", "tier");
@@ -0,0 +1,3 @@
+import { createStoreModel } from "../factory.js";
+
+export default createStoreModel("QC", "classnum");
@@ -0,0 +1,3 @@
+import { createStoreModel } from "../factory.js";
+
+export default createStoreModel("SITEC", "classnum");
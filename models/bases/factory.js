@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { ENTITIES, LINKS, getStore } from "../../config/stores.js";
+import SCHEMA_FIELDS, { SCHEMA_INDEXES, NORMALIZED_FIELDS } from "./schemas/index.js";
+import { normalizedSchema } from "../../utils/fieldNormalization.js";
+
+// Propriétaire de chaque nom de modèle enregistré : { modelName: "STORE/entity" }
+const owners = {};
+
+// Construction du schéma Mongoose d'une entité DBF pour un magasin
+const buildSchema = (store, entity) => {
+  const schema = new mongoose.Schema(SCHEMA_FIELDS[entity], {
+    timestamps: true, // Ajoute les champs `createdAt` et `updatedAt`
+    autoIndex: false, // Index créés par npm run db:indexes et après chaque import complet
+  });
+
+  // Index sur la clé naturelle (recherches de l'import incrémental)
+  schema.index(Object.fromEntries(ENTITIES[entity].keys.map((key) => [key, 1])));
+
+  // Valeurs normalisées des champs DBF mal typés (`normalized.<CHAMP>`)
+  const normalized = normalizedSchema(NORMALIZED_FIELDS[entity]);
+  if (normalized) {
+    schema.add({ normalized });
+  }
+
+  // Index des recherches courantes, déclarés avec les champs de l'entité
+  for (const index of SCHEMA_INDEXES[entity]) {
+    schema.index(...(Array.isArray(index) ? index : [index]));
+  }
+
+  // Références vers les entités liées du même magasin (renseignées après l'import)
+  for (const link of LINKS.filter((item) => item.entity === entity)) {
+    schema.add({
+      [link.field]: { type: mongoose.Schema.ObjectId, ref: store.models[link.target].modelName },
+    });
+    schema.index({ [link.field]: 1 });
+  }
+
+  return schema;
+};
+
+// Création (ou récupération) du modèle Mongoose d'une entité pour un magasin.
+// Le nom du modèle est dérivé du registre : deux couples (magasin, entité)
+// ne peuvent pas enregistrer le même nom.
+export const createStoreModel = (code, entity) => {
+  const store = getStore(code);
+  if (!store) {
+    throw new Error(`Magasin inconnu : ${code}`);
+  }
+  if (!ENTITIES[entity] || !SCHEMA_FIELDS[entity]) {
+    throw new Error(`Entité inconnue : ${entity}`);
+  }
+
+  const { modelName } = store.models[entity];
+  const owner = `${store.code}/${entity}`;
+
+  if (owners[modelName]) {
+    if (owners[modelName] !== owner) {
+      throw new Error(`Le modèle ${modelName} est déjà enregistré par ${owners[modelName]}`);
+    }
+    return mongoose.model(modelName);
+  }
+
+  owners[modelName] = owner;
+  return mongoose.model(modelName, buildSchema(store, entity));
+};
+
+export default createStoreModel;
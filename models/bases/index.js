@@ -0,0 +1,65 @@
+import path from "path";
+import fs from "fs";
+import { fileURLToPath, pathToFileURL } from "url";
+import { STORES, getStore } from "../../config/stores.js";
+
+const BASES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Modèles chargés : { [storeCode]: { [entity]: Model } }
+const loadedModels = {};
+
+// Chargement de tous les modèles déclarés dans le registre des magasins.
+// Toute incohérence (fichier manquant, export invalide, nom de modèle inattendu)
+// est remontée dans une seule erreur listant l'ensemble des problèmes.
+export const loadStoreModels = async () => {
+  const errors = [];
+
+  for (const store of STORES) {
+    const models = {};
+
+    for (const [entity, { file, modelName }] of Object.entries(store.models)) {
+      const modelPath = path.join(BASES_DIR, store.folder, file);
+
+      if (!fs.existsSync(modelPath)) {
+        errors.push(`${store.code}/${entity} : fichier ${store.folder}/${file} introuvable`);
+        continue;
+      }
+
+      try {
+        const { default: model } = await import(pathToFileURL(modelPath).href);
+
+        if (!model || typeof model.modelName !== "string") {
+          errors.push(`${store.code}/${entity} : ${store.folder}/${file} n'exporte pas de modèle Mongoose`);
+        } else if (model.modelName !== modelName) {
+          errors.push(
+            `${store.code}/${entity} : ${store.folder}/${file} enregistre le modèle "${model.modelName}" au lieu de "${modelName}"`
+          );
+        } else {
+          models[entity] = model;
+        }
+      } catch (err) {
+        errors.push(`${store.code}/${entity} : impossible de charger ${store.folder}/${file} (${err.message})`);
+      }
+    }
+
+    loadedModels[store.code] = models;
+  }
+
+  if (errors.length) {
+    throw new Error(`Registre des magasins invalide :\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return loadedModels;
+};
+
+// Modèles d'un magasin (après loadStoreModels)
+export const getStoreModels = (code) => {
+  const store = getStore(code);
+  return store ? loadedModels[store.code] || null : null;
+};
+
+// Modèle d'une entité pour un magasin (après loadStoreModels)
+export const getStoreModel = (code, entity) => {
+  const models = getStoreModels(code);
+  return (models && models[entity]) || null;
+};
@@ -0,0 +1,16 @@
+// Champs du fichier DBF CLASSES
+const classnumFields = {
+  CLASSNUM: { type: String }, // Code de la classe (2 caractères)
+  CLASSLIB: { type: String }, // Libellé de la classe
+  COEFF: { type: Number }, // Coefficient principal
+  COEFF2: { type: Number }, // Coefficient 2
+  COEFF3: { type: Number }, // Coefficient 3
+  COEFF4: { type: Number }, // Coefficient 4
+  COEFF5: { type: Number }, // Coefficient 5
+  COMPTE: { type: String }, // Numéro de compte (6 caractères)
+};
+
+// Index des recherches courantes (clé naturelle CLASSNUM : voir config/stores.js)
+export const classnumIndexes = [];
+
+export default classnumFields;
@@ -0,0 +1,42 @@
+// Champs du fichier DBF FACTURE
+const factureFields = {
+  NUMFACT: { type: String }, // Numéro de facture
+  TYPFACT: { type: String }, // Type de facture
+  DATFACT: { type: Date }, // Date de la facture
+  DATTRAV: { type: Date }, // Date du travail
+  TIERS: { type: Number }, // Identifiant tiers
+  GENER: { type: String }, // Génération
+  DBCPT: { type: String }, // Débit/Crédit
+  BONCDE: { type: String }, // Bon de commande
+  REPRES: { type: Number }, // Représentant
+  TEXTE: { type: String }, // Texte
+  CHEQUE: { type: String }, // Numéro de chèque
+  MONTANT: { type: Number }, // Montant
+  FACTREM: { type: Number }, // Remise sur facture
+  FACTNBLG: { type: Number }, // Nombre de lignes
+  FACTREV: { type: Number }, // Revenu
+  SUPPR: { type: String }, // Supprimé (oui/non)
+  MONTAXES: { type: Number }, // Montant des taxes
+  ACOMPTE: { type: String }, // Acompte
+  STDEST: { type: Number }, // Stock destination
+  STORI: { type: Number }, // Stock origine
+  ETAT: { type: Number }, // État
+  HEURE: { type: String }, // Heure
+  AP: { type: String }, // AP
+  EXTIERS: { type: Number }, // Tiers externe
+  NOM: { type: String }, // Nom
+};
+
+// Index des recherches courantes (clé naturelle NUMFACT : voir config/stores.js)
+export const factureIndexes = [
+  { DATFACT: -1 }, // Factures par période (--since, rapports)
+  { TIERS: 1, DATFACT: -1 }, // Factures d'un client
+  { TYPFACT: 1, DATFACT: -1 }, // Factures par type
+];
+
+// Valeurs normalisées (voir utils/fieldNormalization.js), la valeur brute restant dans le champ DBF
+export const factureNormalized = {
+  SUPPR: "boolean", // Facture supprimée (O/N)
+};
+
+export default factureFields;
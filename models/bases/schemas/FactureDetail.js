@@ -0,0 +1,36 @@
+// Champs du fichier DBF DETAIL
+const factureDetailFields = {
+  NUMFACT: { type: String, maxlength: 7 }, // Numéro de facture
+  NART: { type: String, maxlength: 6 }, // Code article
+  DESIGN: { type: String, maxlength: 50 }, // Désignation
+  QTE: { type: Number, default: 0 }, // Quantité (avec précision)
+  PVTE: { type: Number, default: 0 }, // Prix de vente
+  PREV: { type: Number, default: 0 }, // Prix prévu
+  POURC: { type: Number, default: 0 }, // Pourcentage
+  TYPFACT: { type: String, maxlength: 1 }, // Type de facture
+  NONIMP: { type: String, maxlength: 1 }, // Non-imprimable
+  DTVA: { type: Number, default: 0 }, // Taux de TVA
+  POINTE: { type: String, maxlength: 1 }, // Pointe
+  CLIENT: { type: String, maxlength: 4 }, // Code client
+  PROMO: { type: String, maxlength: 1 }, // Promo (oui/non)
+  STKREST: { type: Number, default: 0 }, // Stock restant
+  NL: { type: Number, default: 0 }, // NL (nombre de lignes ?)
+  COMPOSE: { type: String, maxlength: 2 }, // Composé (oui/non)
+  PVTTC: { type: Number, default: 0 }, // Prix TTC
+};
+
+// Index des recherches courantes (clé naturelle NUMFACT + NL : voir config/stores.js)
+export const factureDetailIndexes = [
+  { NART: 1 }, // Ventes d'un article
+];
+
+// Valeurs normalisées (voir utils/fieldNormalization.js), la valeur brute restant dans le champ DBF
+export const factureDetailNormalized = {
+  CLIENT: "number", // Code client, numérique comme TIERS des clients
+  NONIMP: "boolean", // Ligne non imprimée (O/N)
+  POINTE: "boolean", // Ligne pointée (O/N)
+  PROMO: "boolean", // Vente en promotion (O/N)
+  COMPOSE: "boolean", // Article composé (O/N)
+};
+
+export default factureDetailFields;
@@ -0,0 +1,15 @@
+// Champs du fichier DBF TIERS
+const tierFields = {
+  COMPTE: { type: String, required: true }, // Code du compte
+  TIERS: { type: Number, default: 0 }, // Numéro de tiers
+  NOM: { type: String }, // Nom associé au compte
+  DEBIT: { type: Number, default: 0 }, // Montant du débit
+  CREDIT: { type: Number, default: 0 }, // Montant du crédit
+};
+
+// Index des recherches courantes (clé naturelle COMPTE + TIERS : voir config/stores.js)
+export const tierIndexes = [
+  { TIERS: 1 }, // Recherche par numéro de tiers
+];
+
+export default tierFields;
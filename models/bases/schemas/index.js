@@ -0,0 +1,40 @@
+import articleFields, { articleIndexes, articleNormalized } from "./Article.js";
+import classnumFields, { classnumIndexes } from "./ClassNum.js";
+import fournisseurFields, { fournisseurIndexes } from "./Fournisseur.js";
+import clientFields, { clientIndexes, clientNormalized } from "./Client.js";
+import factureFields, { factureIndexes, factureNormalized } from "./Facture.js";
+import factureDetailFields, { factureDetailIndexes, factureDetailNormalized } from "./FactureDetail.js";
+import tierFields, { tierIndexes } from "./Tier.js";
+
+// Définition unique des champs par entité DBF, partagée par tous les magasins
+const SCHEMA_FIELDS = {
+  article: articleFields,
+  classnum: classnumFields,
+  fournisseur: fournisseurFields,
+  client: clientFields,
+  facture: factureFields,
+  factureDetail: factureDetailFields,
+  tier: tierFields,
+};
+
+// Index déclarés par entité, en plus de la clé naturelle et des références
+// (créés par npm run db:indexes, voir utils/dbIndexes.js)
+export const SCHEMA_INDEXES = {
+  article: articleIndexes,
+  classnum: classnumIndexes,
+  fournisseur: fournisseurIndexes,
+  client: clientIndexes,
+  facture: factureIndexes,
+  factureDetail: factureDetailIndexes,
+  tier: tierIndexes,
+};
+
+// Champs DBF normalisés par entité (voir utils/fieldNormalization.js)
+export const NORMALIZED_FIELDS = {
+  article: articleNormalized,
+  client: clientNormalized,
+  facture: factureNormalized,
+  factureDetail: factureDetailNormalized,
+};
+
+export default SCHEMA_FIELDS;
@@ -0,0 +1,25 @@
+import express from 'express'
+import {
+    getArticle,
+    getArticlesByBarcode,
+    searchArticles,
+    getArticleAvailability
+  } from '../controllers/articles.js';
+
+const router = express.Router()
+
+
+router.route('/search')
+  .get(searchArticles)
+
+router.route('/barcode/:gencod')
+  .get(getArticlesByBarcode)
+
+router.route('/:nart')
+  .get(getArticle)
+
+router.route('/:nart/availability')
+  .get(getArticleAvailability)
+
+
+export default router;
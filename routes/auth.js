@@ -0,0 +1,15 @@
+import express from 'express'
+import { login, getMe } from '../controllers/auth.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router()
+
+
+router.route('/login')
+  .post(login)
+
+router.route('/me')
+  .get(protect, getMe)
+
+
+export default router;
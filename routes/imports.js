@@ -0,0 +1,33 @@
+import express from 'express'
+import {
+    getImports,
+    getImport,
+    createImport,
+    getImportProgress,
+    getImportRejects,
+    filterByImportRun
+  } from '../controllers/imports.js';
+import advancedResults from '../middleware/advancedResults.js';
+import { protect, queryToken, authorize } from '../middleware/auth.js';
+import ImportRun from '../models/ImportRun.js';
+import ImportReject from '../models/ImportReject.js';
+
+const router = express.Router()
+
+
+router.route('/')
+  .get(advancedResults(ImportRun), getImports)
+  .post(protect, authorize('admin'), createImport)
+
+
+router.route('/:id')
+  .get(getImport)
+
+router.route('/:id/progress')
+  .get(queryToken, protect, authorize('admin'), getImportProgress)
+
+router.route('/:id/rejects')
+  .get(protect, authorize('admin'), filterByImportRun, advancedResults(ImportReject, null, 'row'), getImportRejects)
+
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express'
+import {
+    uploadStoreDbf,
+    exportStoreDbf,
+    getStoreQuality,
+    resolveStoreEntity,
+    storeEntityModel,
+    getStoreRecords,
+    getStoreRecord,
+    searchStoreArticleList,
+    getReorderProposals
+  } from '../controllers/stores.js';
+import advancedResults from '../middleware/advancedResults.js';
+import { protect, authorize } from '../middleware/auth.js';
+import dbfUpload from '../middleware/dbfUpload.js';
+
+const router = express.Router()
+
+
+router.route('/:store/dbf')
+  .post(protect, authorize('publisher', 'admin'), dbfUpload, uploadStoreDbf)
+
+router.route('/:store/quality')
+  .get(getStoreQuality)
+
+router.route('/:store/reorder-proposals')
+  .get(getReorderProposals)
+
+router.route('/:store/articles/search')
+  .get(searchStoreArticleList)
+
+router.route('/:store/:entity/export.dbf')
+  .get(protect, authorize('publisher', 'admin'), exportStoreDbf)
+
+router.route('/:store/:entity')
+  .get(protect, authorize('publisher', 'admin'), resolveStoreEntity, advancedResults(storeEntityModel, null, '_id'), getStoreRecords)
+
+router.route('/:store/:entity/:id')
+  .get(protect, authorize('publisher', 'admin'), resolveStoreEntity, getStoreRecord)
+
+
+export default router;
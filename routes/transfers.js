@@ -0,0 +1,11 @@
+import express from 'express'
+import { suggestStoreTransfers } from '../controllers/transfers.js';
+
+const router = express.Router()
+
+
+router.route('/suggest')
+  .post(suggestStoreTransfers)
+
+
+export default router;
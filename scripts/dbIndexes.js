@@ -0,0 +1,95 @@
+import path from "path";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import colors from "colors";
+import mongoose from "mongoose";
+import { ENTITY_NAMES } from "../config/stores.js";
+import { loadStoreModels, getStoreModel } from "../models/bases/index.js";
+import "../models/ImportRun.js";
+import "../models/ImportReject.js";
+import "../models/QualityReport.js";
+import "../models/User.js";
+import "../models/Bootcamp.js";
+import { normalizeImportOptions } from "../utils/importOptions.js";
+import { indexedModels, checkIndexes, ensureIndexes } from "../utils/dbIndexes.js";
+
+// Création des index MongoDB déclarés par les schémas et rapport des index
+// manquants, non déclarés ou inutilisés
+// Usage : npm run db:indexes -- [--store QC,KONE] [--check]
+//  --store : limite aux collections des magasins indiqués
+//  --check : rapport seul, aucun index créé
+
+dotenv.config({ path: path.resolve("config/config.env") });
+
+const mongoUri = process.env.MONGO_URI || process.env.MONGO_URI_DEV;
+
+const USAGE = "Usage : npm run db:indexes -- [--store QC,KONE] [--check]";
+
+const syncIndexes = async () => {
+  let values;
+
+  try {
+    ({ values } = parseArgs({
+      options: { store: { type: "string" }, check: { type: "boolean" } },
+    }));
+    if (values.store) {
+      values.stores = normalizeImportOptions({ stores: values.store }).stores;
+    }
+  } catch (err) {
+    console.error(colors.red(`❌ ${err.message}`));
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (!mongoUri) {
+    console.error(colors.red("❌ MONGO_URI non défini dans config/config.env."));
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    await loadStoreModels();
+    await mongoose.connect(mongoUri);
+
+    const models = values.stores
+      ? values.stores.flatMap((code) => ENTITY_NAMES.map((entity) => getStoreModel(code, entity)))
+      : indexedModels();
+
+    if (!values.check) {
+      for (const model of models) {
+        console.log(colors.blue(`🔧 ${model.collection.collectionName}...`));
+        const created = await ensureIndexes(model);
+        if (created.length) {
+          console.log(colors.green(`✅ ${model.collection.collectionName} : ${created.join(", ")} créé(s).`));
+        }
+      }
+    }
+
+    const reports = await checkIndexes(models);
+    const flagged = reports.filter((report) => report.missing.length || report.extra.length || report.unused.length);
+
+    if (!flagged.length) {
+      console.log(colors.green.bold(`\n✅ Index à jour sur ${reports.length} collection(s).`));
+    } else {
+      console.log(colors.yellow.bold(`\n📊 Index à vérifier (${flagged.length}/${reports.length} collection(s)) :`));
+      console.table(
+        flagged.map(({ collection, missing, extra, unused }) => ({
+          Collection: collection,
+          Manquants: missing.join(", "),
+          "Non déclarés": extra.join(", "),
+          Inutilisés: unused.join(", "),
+        }))
+      );
+      if (flagged.some((report) => report.missing.length)) exitCode = 1;
+    }
+  } catch (err) {
+    console.error(colors.red.bold(`❌ Erreur : ${err.message}`));
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    process.exit(exitCode);
+  }
+};
+
+syncIndexes();
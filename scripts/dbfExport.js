@@ -0,0 +1,95 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import colors from "colors";
+import mongoose from "mongoose";
+import { ENTITIES, ENTITY_NAMES, getStore } from "../config/stores.js";
+import { loadStoreModels, getStoreModel } from "../models/bases/index.js";
+import ImportRun from "../models/ImportRun.js";
+import { DEFAULT_ENCODING } from "../utils/dbfEncoding.js";
+import exportToDbf, { droppedFields } from "../utils/dbfExport.js";
+
+// Export des collections d'un magasin au format DBF (retour vers l'application de caisse)
+// Usage : npm run dbf:export -- <MAGASIN> [entité1,entité2,...] [--out <dossier>]
+// Les fichiers sont écrits sous leur nom d'origine dans <dossier>/<MAGASIN> (défaut : ./_export).
+
+dotenv.config({ path: path.resolve("config/config.env") });
+
+const mongoUri = process.env.MONGO_URI || process.env.MONGO_URI_DEV;
+
+const USAGE = "Usage : npm run dbf:export -- <MAGASIN> [entité1,entité2,...] [--out <dossier>]";
+
+const exportStore = async () => {
+  let store;
+  let entities;
+  let outDir;
+
+  try {
+    const { values, positionals } = parseArgs({
+      options: { out: { type: "string" } },
+      allowPositionals: true,
+    });
+    const [storeCode, entityList] = positionals;
+
+    store = getStore(storeCode);
+    if (!store) {
+      throw new Error(`Magasin inconnu : ${storeCode || "(non précisé)"}`);
+    }
+
+    entities = entityList ? entityList.split(",") : ENTITY_NAMES;
+    const unknown = entities.filter((entity) => !ENTITY_NAMES.includes(entity));
+    if (unknown.length) {
+      throw new Error(`Entité(s) inconnue(s) : ${unknown.join(", ")}`);
+    }
+
+    outDir = path.resolve(values.out || "_export", store.folder);
+  } catch (err) {
+    console.error(colors.red(`❌ ${err.message}`));
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (!mongoUri) {
+    console.error(colors.red("❌ MONGO_URI non défini dans config/config.env."));
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    await loadStoreModels();
+    await mongoose.connect(mongoUri);
+    await fs.promises.mkdir(outDir, { recursive: true });
+
+    for (const entity of entities) {
+      const imported = await ImportRun.lastImportedFile(store.code, entity);
+      if (!imported) {
+        console.warn(colors.yellow(`⚠️ ${store.code}/${entity} : aucun import réussi, descripteurs de champs inconnus.`));
+        exitCode = 1;
+        continue;
+      }
+
+      const dropped = droppedFields(imported);
+      if (dropped.length) {
+        console.warn(colors.yellow(`⚠️ ${store.code}/${entity} : colonnes non conservées à l'import (${dropped.join(", ")}), export refusé.`));
+        exitCode = 1;
+        continue;
+      }
+
+      const filePath = path.join(outDir, ENTITIES[entity].file);
+      const count = await exportToDbf(getStoreModel(store.code, entity), imported.fields, filePath, {
+        encoding: imported.encoding || DEFAULT_ENCODING,
+      });
+      console.log(colors.green(`✅ ${store.code}/${entity} : ${count} enregistrement(s) exporté(s) dans ${filePath}.`));
+    }
+  } catch (err) {
+    console.error(colors.red.bold(`❌ Erreur : ${err.message}`));
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    process.exit(exitCode);
+  }
+};
+
+exportStore();
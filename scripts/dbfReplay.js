@@ -0,0 +1,131 @@
+import path from "path";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import colors from "colors";
+import mongoose from "mongoose";
+import { ENTITIES } from "../config/stores.js";
+import { loadStoreModels, getStoreModel } from "../models/bases/index.js";
+import { NORMALIZED_FIELDS } from "../models/bases/schemas/index.js";
+import ImportReject from "../models/ImportReject.js";
+import { normalizeImportOptions } from "../utils/importOptions.js";
+import { upsertBatch } from "../utils/incrementalImport.js";
+import { normalizeRecord } from "../utils/fieldNormalization.js";
+import { acquireImportLock } from "../utils/importLock.js";
+
+// Réimport des enregistrements mis en quarantaine par un import (après correction du schéma)
+// Usage : npm run dbf:replay -- <idImport> [--store QC,KONE] [--entity article,facture]
+// Les enregistrements sont validés par le schéma actuel puis insérés ou mis à jour par clé
+// naturelle dans les collections servies ; ceux encore invalides restent en quarantaine (replayError).
+
+dotenv.config({ path: path.resolve("config/config.env") });
+
+const mongoUri = process.env.MONGO_URI || process.env.MONGO_URI_DEV;
+
+const replay = async () => {
+  let runId;
+  let options;
+
+  try {
+    const { values, positionals } = parseArgs({
+      options: { store: { type: "string" }, entity: { type: "string" } },
+      allowPositionals: true,
+    });
+    runId = positionals[0];
+    options = normalizeImportOptions({ stores: values.store, entities: values.entity });
+
+    if (!runId || !mongoose.isValidObjectId(runId)) {
+      throw new Error(`Identifiant d'import invalide : ${runId || "(non précisé)"}`);
+    }
+  } catch (err) {
+    console.error(colors.red(`❌ ${err.message}`));
+    console.log("Usage : npm run dbf:replay -- <idImport> [--store QC,KONE] [--entity article,facture]");
+    process.exit(1);
+  }
+
+  if (!mongoUri) {
+    console.error(colors.red("❌ MONGO_URI non défini dans config/config.env."));
+    process.exit(1);
+  }
+
+  // Pas de réimport pendant un import (manuel ou planifié) : collections servies et quarantaine modifiées
+  try {
+    acquireImportLock();
+  } catch (err) {
+    console.error(colors.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    await loadStoreModels();
+    await mongoose.connect(mongoUri);
+
+    for (const store of options.stores) {
+      for (const entity of options.entities) {
+        const filter = { run: runId, store, entity, replayedAt: null };
+        const total = await ImportReject.countDocuments(filter);
+        if (!total) continue;
+
+        const model = getStoreModel(store, entity);
+        const keys = ENTITIES[entity].keys;
+        let replayed = 0;
+        let lastRow = 0;
+
+        // Lots successifs par numéro de ligne croissant
+        for (;;) {
+          const rejects = await ImportReject.find({ ...filter, row: { $gt: lastRow } })
+            .sort("row")
+            .limit(options.batchSize);
+          if (!rejects.length) break;
+          lastRow = rejects[rejects.length - 1].row;
+
+          // Validation par le schéma corrigé : seuls les enregistrements valides sont réimportés,
+          // les autres restent en quarantaine avec la nouvelle erreur
+          const failed = new Map();
+          const valid = [];
+          rejects.forEach((reject, index) => {
+            const record = normalizeRecord(reject.raw, NORMALIZED_FIELDS[entity]);
+            const invalid = new model(record).validateSync();
+            invalid ? failed.set(index, invalid.message) : valid.push({ index, record });
+          });
+
+          if (valid.length) {
+            const { errors } = await upsertBatch(
+              model,
+              keys,
+              valid.map(({ record }) => record),
+              new Set()
+            );
+            for (const { index, message } of errors) {
+              failed.set(valid[index].index, message);
+            }
+          }
+
+          await ImportReject.bulkWrite(
+            rejects.map((reject, index) => ({
+              updateOne: {
+                filter: { _id: reject._id },
+                update: failed.has(index)
+                  ? { $set: { replayError: failed.get(index) } }
+                  : { $set: { replayedAt: new Date() }, $unset: { replayError: 1 } },
+              },
+            }))
+          );
+          replayed += rejects.length - failed.size;
+        }
+
+        const color = replayed === total ? colors.green : colors.yellow;
+        console.log(color(`♻️ ${store}/${entity} : ${replayed}/${total} enregistrement(s) réimporté(s).`));
+      }
+    }
+  } catch (err) {
+    console.error(colors.red.bold(`❌ Erreur : ${err.message}`));
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    process.exit(exitCode);
+  }
+};
+
+replay();
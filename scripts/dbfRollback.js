@@ -0,0 +1,69 @@
+import path from "path";
+import dotenv from "dotenv";
+import colors from "colors";
+import mongoose from "mongoose";
+import { getStore, ENTITY_NAMES } from "../config/stores.js";
+import { loadStoreModels, getStoreModel } from "../models/bases/index.js";
+import { rollbackCollection } from "../utils/collectionSwap.js";
+import { acquireImportLock } from "../utils/importLock.js";
+
+// Retour à la génération précédente des collections d'un magasin
+// Usage : npm run dbf:rollback -- <MAGASIN> [entité1,entité2,...]
+
+dotenv.config({ path: path.resolve("config/config.env") });
+
+const mongoUri = process.env.MONGO_URI || process.env.MONGO_URI_DEV;
+
+const rollback = async () => {
+  const [storeCode, entityList] = process.argv.slice(2);
+  const store = getStore(storeCode);
+
+  if (!store) {
+    console.error(colors.red(`❌ Magasin inconnu : ${storeCode || "(non précisé)"}`));
+    process.exit(1);
+  }
+
+  const entities = entityList ? entityList.split(",") : ENTITY_NAMES;
+  const unknown = entities.filter((entity) => !ENTITY_NAMES.includes(entity));
+  if (unknown.length) {
+    console.error(colors.red(`❌ Entité(s) inconnue(s) : ${unknown.join(", ")}`));
+    process.exit(1);
+  }
+
+  if (!mongoUri) {
+    console.error(colors.red("❌ MONGO_URI non défini dans config/config.env."));
+    process.exit(1);
+  }
+
+  // Pas de retour arrière pendant un import (manuel ou planifié) : les collections sont en cours de bascule
+  try {
+    acquireImportLock();
+  } catch (err) {
+    console.error(colors.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    await loadStoreModels();
+    await mongoose.connect(mongoUri);
+
+    for (const entity of entities) {
+      try {
+        await rollbackCollection(getStoreModel(store.code, entity));
+        console.log(colors.green(`✅ ${store.code}/${entity} : génération précédente restaurée.`));
+      } catch (err) {
+        console.warn(colors.yellow(`⚠️ ${store.code}/${entity} : ${err.message}`));
+      }
+    }
+  } catch (err) {
+    console.error(colors.red.bold(`❌ Erreur : ${err.message}`));
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    process.exit(exitCode);
+  }
+};
+
+rollback();
@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import colors from "colors";
+import cron from "node-cron";
+import { ENTITIES, STORES } from "../config/stores.js";
+import { getSchedulerConfig } from "../config/scheduler.js";
+import { DEFAULT_SOURCE } from "../utils/importOptions.js";
+import { readImportLock } from "../utils/importLock.js";
+import { spawnImport, LOCK_RETRY_DELAY } from "../utils/importRunner.js";
+
+// Imports DBF automatiques : import planifié (DBF_IMPORT_CRON) et/ou, avec --watch,
+// import incrémental d'un magasin dès que ses fichiers DBF déposés sont stables.
+// Usage : npm run dbf:scheduler -- [--watch] [--source <dossier>]
+// Les imports sont exécutés un par un par scripts/dbfToMongo.js (verrou d'import partagé).
+
+dotenv.config({ path: path.resolve("config/config.env") });
+
+let config;
+let source;
+try {
+  const { values } = parseArgs({
+    options: { watch: { type: "boolean" }, source: { type: "string" } },
+  });
+  config = getSchedulerConfig();
+  if (values.watch && !config.watch) {
+    // Sans DBF_WATCH, l'API importe elle-même les fichiers déposés : double import
+    console.warn(
+      colors.yellow("⚠️ --watch sans DBF_WATCH=true : les dépôts via l'API seront importés deux fois (API et surveillance).")
+    );
+  }
+  config.watch = config.watch || Boolean(values.watch);
+  source = path.resolve(values.source || DEFAULT_SOURCE);
+
+  if (config.cron && !cron.validate(config.cron)) {
+    throw new Error(`Expression cron invalide (DBF_IMPORT_CRON) : ${config.cron}`);
+  }
+  if (!["full", "incremental"].includes(config.cronMode)) {
+    throw new Error(`Mode d'import planifié invalide (DBF_IMPORT_CRON_MODE) : ${config.cronMode}`);
+  }
+  if (!config.cron && !config.watch) {
+    throw new Error("Ni import planifié (DBF_IMPORT_CRON) ni surveillance (--watch) : rien à faire");
+  }
+} catch (err) {
+  console.error(colors.red(`❌ ${err.message}`));
+  console.log("Usage : npm run dbf:scheduler -- [--watch] [--source <dossier>]");
+  process.exit(1);
+}
+
+const log = (message) => console.log(`${new Date().toLocaleString("fr-FR")} ${message}`);
+
+// File d'attente des imports : l'import planifié couvre tous les magasins,
+// la surveillance accumule les magasins modifiés pendant un import en cours
+let running = null;
+let scheduledPending = false;
+const pendingStores = new Set();
+let retryTimer = null;
+
+// Exécution de scripts/dbfToMongo.js dans un processus fils
+const runImport = async (args) => {
+  log(colors.cyan(`🚀 Import lancé : dbf:import -- ${args.join(" ")}`));
+  const code = await spawnImport(args);
+  const color = code === 0 ? colors.green : colors.red;
+  log(color(`🏁 Import terminé (code ${code}).`));
+  return code;
+};
+
+// Lancement de l'import suivant de la file s'il n'y a aucun import en cours
+const drain = async () => {
+  if (running || retryTimer || (!scheduledPending && !pendingStores.size)) return;
+
+  const holder = readImportLock();
+  if (holder) {
+    log(colors.yellow(`⏳ Import en cours (pid ${holder.pid}), nouvelle tentative dans ${LOCK_RETRY_DELAY / 1000} s.`));
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      drain();
+    }, LOCK_RETRY_DELAY);
+    return;
+  }
+
+  let args;
+  if (scheduledPending) {
+    // L'import planifié traite tous les magasins
+    scheduledPending = false;
+    pendingStores.clear();
+    args = ["--source", source];
+    if (config.cronMode === "incremental") args.push("--incremental");
+  } else {
+    args = ["--source", source, "--store", [...pendingStores].join(","), "--incremental"];
+    pendingStores.clear();
+  }
+
+  running = runImport(args);
+  await running;
+  running = null;
+  drain();
+};
+
+// --- Import planifié ---
+let task = null;
+if (config.cron) {
+  task = cron.schedule(config.cron, () => {
+    log(colors.blue("⏰ Import planifié déclenché."));
+    scheduledPending = true;
+    drain();
+  });
+  log(colors.green(`⏰ Import planifié (${config.cronMode}) : ${config.cron}`));
+}
+
+// --- Surveillance des dossiers de dépôt ---
+const ENTITY_FILES = Object.values(ENTITIES).map(({ file }) => file.toLowerCase());
+
+// Taille et date de modification des fichiers DBF d'un magasin
+const snapshot = (folderPath) =>
+  ENTITY_FILES.map((file) => {
+    try {
+      const { size, mtimeMs } = fs.statSync(path.join(folderPath, file));
+      return `${file}:${size}:${mtimeMs}`;
+    } catch (err) {
+      return `${file}:-`;
+    }
+  }).join("|");
+
+const watchers = [];
+if (config.watch) {
+  for (const store of STORES) {
+    const folderPath = path.join(source, store.folder);
+    if (!fs.existsSync(folderPath)) {
+      log(colors.yellow(`⚠️ Dossier ${folderPath} introuvable, ${store.code} non surveillé.`));
+      continue;
+    }
+
+    // Les fichiers sont stables lorsque deux relevés espacés de `stableDelay` sont identiques
+    let timer = null;
+    let lastSnapshot = null;
+    let importedSnapshot = snapshot(folderPath);
+
+    const checkStable = () => {
+      const current = snapshot(folderPath);
+      if (current !== lastSnapshot) {
+        lastSnapshot = current;
+        timer = setTimeout(checkStable, config.stableDelay);
+        return;
+      }
+
+      timer = null;
+      lastSnapshot = null;
+      if (current === importedSnapshot) return;
+
+      importedSnapshot = current;
+      log(colors.blue(`📥 Nouveaux fichiers DBF pour ${store.code}.`));
+      pendingStores.add(store.code);
+      drain();
+    };
+
+    const watcher = fs.watch(folderPath, (event, fileName) => {
+      if (!fileName || !ENTITY_FILES.includes(fileName.toLowerCase())) return;
+      clearTimeout(timer);
+      lastSnapshot = snapshot(folderPath);
+      timer = setTimeout(checkStable, config.stableDelay);
+    });
+    watchers.push(watcher);
+  }
+  log(colors.green(`👀 Surveillance de ${watchers.length} dossier(s) dans ${source} (stabilité : ${config.stableDelay / 1000} s).`));
+}
+
+// Arrêt propre : plus de nouvel import, attente de l'import en cours
+const shutdown = async () => {
+  log(colors.yellow("🛑 Arrêt du planificateur..."));
+  if (task) task.stop();
+  watchers.forEach((watcher) => watcher.close());
+  clearTimeout(retryTimer);
+  if (running) await running;
+  process.exit(0);
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -5,20 +5,66 @@ import dotenv from "dotenv";
 import colors from "colors";
 import cliProgress from "cli-progress";
 import mongoose from "mongoose";
-import { pathToFileURL } from "url";
+import { ENTITIES, getStore } from "../config/stores.js";
+import { loadStoreModels } from "../models/bases/index.js";
+import { NORMALIZED_FIELDS } from "../models/bases/schemas/index.js";
+import insertBatch from "../utils/bulkInsert.js";
+import { getStagingModel, dropStaging, swapStaging } from "../utils/collectionSwap.js";
+import { upsertBatch, removeMissing, naturalKey } from "../utils/incrementalImport.js";
+import dbfHeaderChecksum from "../utils/dbfHeader.js";
+import { resolveEncoding } from "../utils/dbfEncoding.js";
+import ImportRun, { MAX_FILE_ERRORS, checkpointKey } from "../models/ImportRun.js";
+import ImportReject from "../models/ImportReject.js";
+import { parseImportArgs, USAGE } from "../utils/importOptions.js";
+import { detectDrift, hasDrift, driftExceedsPolicy, formatDrift } from "../utils/schemaDrift.js";
+import asyncPool from "../utils/asyncPool.js";
+import { linkStore } from "../utils/entityLinks.js";
+import { checkStoreQuality } from "../utils/dataQuality.js";
+import { normalizeRecord } from "../utils/fieldNormalization.js";
+import { acquireImportLock } from "../utils/importLock.js";
 
 // Charger les variables d'environnement
 dotenv.config({ path: path.resolve("config/config.env") });
 
+// Options de la ligne de commande
+let options;
+try {
+  options = parseImportArgs();
+} catch (err) {
+  console.error(colors.red(`❌ ${err.message}`));
+  console.log(USAGE);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
 const mongoUri = process.env.MONGO_URI || process.env.MONGO_URI_DEV;
 
-if (!mongoUri) {
+if (!mongoUri && !options.dryRun) {
   console.error(colors.red("❌ MONGO_URI non défini dans config/config.env."));
   process.exit(1);
 }
 
+// Un seul import à la fois (manuel ou planifié), le --dry-run n'écrivant rien
+if (!options.dryRun) {
+  try {
+    acquireImportLock();
+  } catch (err) {
+    console.error(colors.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+}
+
 const ERROR_LOG_FILE = "./error.log";
 
+// Taux de rejet maximal toléré avant de refuser la bascule d'une collection
+const MAX_REJECT_RATE = Number.isNaN(parseFloat(process.env.DBF_MAX_REJECT_RATE))
+  ? 0.01
+  : parseFloat(process.env.DBF_MAX_REJECT_RATE);
+
 // Fonction pour logger les erreurs
 const logError = (message) => {
   fs.appendFileSync(ERROR_LOG_FILE, `${new Date().toISOString()} - ${message}\n`);
@@ -36,12 +82,19 @@ const connectDB = async () => {
   }
 };
 
-// Nettoyage des valeurs NaN et suppression des champs dupliqués
+// Nettoyage des valeurs NaN, du remplissage à droite des chaînes de longueur fixe
+// (espaces et octets nuls) et suppression des champs dupliqués
 const sanitizeRecord = (record) => {
   const sanitized = {};
   for (const [key, value] of Object.entries(record)) {
     if (!sanitized.hasOwnProperty(key)) {
-      sanitized[key] = typeof value === "number" && isNaN(value) ? 0 : value;
+      if (typeof value === "number") {
+        sanitized[key] = isNaN(value) ? 0 : value;
+      } else if (typeof value === "string") {
+        sanitized[key] = value.replace(/[\s\0]+$/, "");
+      } else {
+        sanitized[key] = value;
+      }
     }
   }
   return sanitized;
@@ -57,37 +110,13 @@ const formatElapsedTime = () => {
   return `${hours}h ${minutes}m ${seconds}s`;
 };
 
-// Chargement dynamique des modèles
-const loadModel = async (folder, modelType) => {
-  const modelFileName = {
-    article: `${folder}Article`,
-    classnum: `${folder}Classnum`,
-    fournisseur: `${folder}Fournisseur`,
-    client: `${folder}Client`,
-    facture: `${folder}Facture`,
-    factureDetail: `${folder}FactureDetail`,
-    tier: `${folder}Tier`,
-  }[modelType];
+// Barres de progression : une par fichier en cours, soit au plus une par worker
+let multibar = null;
 
-  try {
-    const modelPath = pathToFileURL(
-      path.resolve(`./models/bases/${folder}/${modelFileName}.js`)
-    ).href;
-    const { default: model } = await import(modelPath);
-    return model;
-  } catch (err) {
-    const errorMsg = `⚠️ Impossible de charger le modèle ${modelFileName}: ${err.message}`;
-    console.warn(colors.yellow(errorMsg));
-    logError(errorMsg);
-    return null;
-  }
-};
-
-// Création de la barre de progression personnalisée
-const createProgressBar = (fileName, total) => {
-  return new cliProgress.SingleBar(
+const createMultiBar = () =>
+  new cliProgress.MultiBar(
     {
-      format: `${colors.yellow.bold(fileName)} |${colors.blue("{bar}")}| ${colors.green("{value}")}${colors.blue("/{total}")} Enregistrements || {percentage}% || ETA: {eta_formatted}`,
+      format: `${colors.yellow.bold("{file}")} |${colors.blue("{bar}")}| ${colors.green("{value}")}${colors.blue("/{total}")} Enregistrements || {percentage}% || ETA: {eta_formatted}`,
       barCompleteChar: "\u2588",
       barIncompleteChar: "\u2591",
       hideCursor: true,
@@ -95,110 +124,685 @@ const createProgressBar = (fileName, total) => {
     },
     cliProgress.Presets.rect
   );
+
+// Affichage d'un message sans perturber les barres de progression
+const print = (message) => {
+  if (multibar) {
+    multibar.log(`${message}\n`);
+  } else {
+    console.log(message);
+  }
 };
 
-// Traitement des fichiers DBF
-const processFile = async (filePath, model, fileName, folder) => {
-  if (!fs.existsSync(filePath)) {
-    const errorMsg = `⚠️ Fichier ${fileName}.dbf manquant dans ${folder}`;
-    console.warn(colors.yellow(errorMsg));
+// Lecture d'un fichier DBF par lots de `batchSize` enregistrements.
+//  - keep      : filtre des enregistrements à traiter (--since)
+//  - skip      : nombre d'enregistrements déjà traités (reprise), transmis à `onSkipped`
+//  - onCommit  : appelé après chaque lot traité avec le nombre d'enregistrements lus
+// `rows` donne pour chaque enregistrement transmis son numéro de ligne dans le fichier.
+const readInBatches = async (dbf, progressBar, onBatch, { keep = null, skip = 0, onSkipped = null, onCommit = null } = {}) => {
+  let readCount = 0;
+
+  for (;;) {
+    const records = await dbf.readRecords(options.batchSize);
+    if (!records.length) break;
+
+    const batch = [];
+    const rows = [];
+    const skipped = [];
+    records.forEach((record, index) => {
+      const sanitized = sanitizeRecord(record);
+      if (keep && !keep(sanitized)) return;
+
+      if (readCount + index < skip) {
+        skipped.push(sanitized);
+      } else {
+        batch.push(sanitized);
+        rows.push(readCount + index + 1);
+      }
+    });
+
+    if (skipped.length && onSkipped) {
+      onSkipped(skipped);
+    }
+    if (batch.length) {
+      await onBatch(batch, rows);
+    }
+
+    readCount += records.length;
+    if (onCommit && readCount > skip) {
+      await onCommit(readCount);
+    }
+    progressBar.update(readCount);
+  }
+
+  return readCount;
+};
+
+// Enregistrement du point de reprise d'un fichier après un lot validé
+const saveCheckpoint = (stats, offset) =>
+  ImportRun.updateOne(
+    { _id: stats.run },
+    {
+      $set: {
+        [`checkpoints.${checkpointKey(stats.store, stats.entity)}`]: {
+          offset,
+          recordCount: stats.recordCount,
+          inserted: stats.inserted,
+          updated: stats.updated,
+          unchanged: stats.unchanged,
+          failed: stats.failed,
+          updatedAt: new Date(),
+        },
+      },
+    }
+  );
+
+// Options de lecture pour la reprise d'un fichier à partir de son point de reprise
+const resumeFrom = (stats, checkpoint) => {
+  if (checkpoint) {
+    stats.inserted = checkpoint.inserted;
+    stats.updated = checkpoint.updated;
+    stats.unchanged = checkpoint.unchanged;
+    stats.failed = checkpoint.failed;
+    print(colors.cyan(`↪️ Reprise de ${stats.store}/${stats.file} à l'enregistrement ${checkpoint.offset + 1}.`));
+  }
+
+  return {
+    skip: checkpoint ? checkpoint.offset : 0,
+    onCommit: stats.run ? (offset) => saveCheckpoint(stats, offset) : null,
+  };
+};
+
+// Enregistrements complétés des valeurs normalisées de l'entité (les rejets
+// sont mis en quarantaine avec leurs valeurs brutes)
+const normalizeRecords = (records, entity) =>
+  records.map((record) => normalizeRecord(record, NORMALIZED_FIELDS[entity]));
+
+// Journalisation et mise en quarantaine des enregistrements rejetés d'un lot
+// (les MAX_FILE_ERRORS premières erreurs sont conservées dans l'historique)
+const logRejects = async (errors, records, rows, stats, folder) => {
+  stats.failed += errors.length;
+
+  for (const { index, message } of errors) {
+    const row = rows[index];
+    logError(`❌ Erreur d'insertion dans ${folder}/${stats.entity} (ligne ${row}) : ${message}`);
+    if (stats.firstErrors.length < MAX_FILE_ERRORS) {
+      stats.firstErrors.push({ row, message });
+    }
+  }
+
+  if (stats.run && errors.length) {
+    await ImportReject.insertMany(
+      errors.map(({ index, message }) => ({
+        run: stats.run,
+        store: stats.store,
+        entity: stats.entity,
+        file: stats.file,
+        row: rows[index],
+        raw: records[index],
+        error: message,
+      })),
+      { ordered: false }
+    );
+  }
+};
+
+// Numéros des factures datées de `since` ou après, lus dans facture.dbf
+const recentInvoiceNumbers = async (folderPath, since) => {
+  const numbers = new Set();
+  const filePath = path.join(folderPath, ENTITIES.facture.file);
+  if (!fs.existsSync(filePath)) return numbers;
+
+  const dbf = await DBFFile.open(filePath);
+  for (;;) {
+    const records = await dbf.readRecords(options.batchSize);
+    if (!records.length) break;
+    for (const record of records) {
+      if (record.DATFACT && record.DATFACT >= since) numbers.add(record.NUMFACT);
+    }
+  }
+  return numbers;
+};
+
+// Restriction d'un import de factures à partir de --since :
+// enregistrements conservés et périmètre de détection des suppressions
+const sinceScope = async (entity, folderPath) => {
+  if (!options.since) return null;
+
+  if (entity === "facture") {
+    return {
+      keep: (record) => record.DATFACT && record.DATFACT >= options.since,
+      filter: { DATFACT: { $gte: options.since } },
+    };
+  }
+
+  if (entity === "factureDetail") {
+    const numbers = await recentInvoiceNumbers(folderPath, options.since);
+    return {
+      keep: (record) => numbers.has(record.NUMFACT),
+      filter: { NUMFACT: { $in: [...numbers] } },
+    };
+  }
+
+  return null;
+};
+
+// Validation seule (--dry-run) : aucune écriture en base
+const loadDryRun = async (dbf, model, stats, folder, progressBar, scope) => {
+  stats.read = await readInBatches(
+    dbf,
+    progressBar,
+    async (records, rows) => {
+      const errors = [];
+      normalizeRecords(records, stats.entity).forEach((record, index) => {
+        const error = new model(record).validateSync();
+        error ? errors.push({ index, message: error.message }) : stats.inserted++;
+      });
+      await logRejects(errors, records, rows, stats, folder);
+    },
+    { keep: scope && scope.keep }
+  );
+
+  print(
+    colors.green.bold(
+      `🔍 Validation de ${folder}/${stats.entity} : ${colors.green(stats.inserted)} valide(s), ${stats.failed} rejeté(s) sur ${stats.read} lu(s).`
+    )
+  );
+};
+
+// Import complet : chargement dans une collection de staging puis bascule,
+// la collection servie reste intacte tant que l'import n'est pas validé.
+// En reprise, le staging est conservé s'il correspond au point de reprise.
+const loadFull = async (dbf, model, stats, folder, progressBar, checkpoint) => {
+  const fileName = stats.entity;
+  const stagingModel = await getStagingModel(model, !checkpoint);
+
+  if (checkpoint && (await stagingModel.countDocuments()) !== checkpoint.inserted) {
+    print(colors.yellow(`⚠️ Staging de ${folder}/${fileName} incohérent avec le point de reprise : import repris depuis le début.`));
+    await dropStaging(model);
+    checkpoint = null;
+  }
+
+  stats.read = await readInBatches(
+    dbf,
+    progressBar,
+    async (records, rows) => {
+      const { inserted, errors } = await insertBatch(stagingModel, normalizeRecords(records, fileName));
+      stats.inserted += inserted;
+      await logRejects(errors, records, rows, stats, folder);
+    },
+    resumeFrom(stats, checkpoint)
+  );
+
+  if (stats.failed) {
+    print(colors.red(`❌ ${stats.failed} enregistrement(s) rejeté(s) dans ${folder}/${fileName} (détails dans ${ERROR_LOG_FILE}).`));
+  }
+
+  // Contrôles avant bascule
+  const stagedCount = await stagingModel.countDocuments();
+  const rejectRate = stats.read ? stats.failed / stats.read : 0;
+  let abortReason = null;
+
+  if (stagedCount !== stats.inserted) {
+    abortReason = `${stagedCount} documents en staging pour ${stats.inserted} insérés`;
+  } else if (stats.read && !stats.inserted) {
+    abortReason = "aucun enregistrement inséré";
+  } else if (rejectRate > MAX_REJECT_RATE) {
+    abortReason = `taux de rejet ${(rejectRate * 100).toFixed(2)}% supérieur à ${(MAX_REJECT_RATE * 100).toFixed(2)}%`;
+  }
+
+  if (abortReason) {
+    await dropStaging(model);
+    stats.status = "aborted";
+    stats.message = abortReason;
+    const errorMsg = `❌ Import de ${folder}/${fileName} annulé (${abortReason}). Données existantes conservées.`;
+    print(colors.red.bold(errorMsg));
     logError(errorMsg);
     return;
   }
 
-  const dbf = await DBFFile.open(filePath);
-  console.log(colors.cyan.bold(`📄 Lecture de ${fileName}.dbf. ${dbf.recordCount} enregistrements.`));
+  // Index construits une fois le staging chargé, avant qu'il ne devienne la collection servie
+  await stagingModel.createIndexes();
+  await swapStaging(model);
+  print(
+    colors.green.bold(
+      `✅ Importation réussie pour ${folder}/${fileName}. Total inséré : ${colors.green(stats.inserted)}${colors.blue("/")}${dbf.recordCount} enregistrements.`
+    )
+  );
+};
+
+// Import incrémental : mise à jour par clé naturelle et suppression des
+// enregistrements absents du fichier DBF (dans le périmètre `scope` s'il est défini)
+const loadIncremental = async (dbf, model, stats, folder, progressBar, scope, checkpoint) => {
+  const fileName = stats.entity;
+  const keys = ENTITIES[fileName].keys;
+  const seenKeys = new Set();
+
+  // Les enregistrements déjà traités avant la reprise comptent pour la détection des suppressions
+  const onSkipped = (records) => {
+    for (const record of records) {
+      try {
+        seenKeys.add(naturalKey(model.castObject(record), keys));
+      } catch (err) {
+        // Enregistrement déjà rejeté lors de l'import interrompu
+      }
+    }
+  };
 
-  console.log(colors.yellow(`🗑️ Suppression des anciennes données pour ${fileName}...`));
-  await model.deleteMany();
+  stats.read = await readInBatches(
+    dbf,
+    progressBar,
+    async (records, rows) => {
+      const { errors, ...counts } = await upsertBatch(model, keys, normalizeRecords(records, fileName), seenKeys);
+      stats.inserted += counts.inserted;
+      stats.updated += counts.updated;
+      stats.unchanged += counts.unchanged;
+      await logRejects(errors, records, rows, stats, folder);
+    },
+    { keep: scope && scope.keep, onSkipped, ...resumeFrom(stats, checkpoint) }
+  );
 
-  const progressBar = createProgressBar(fileName, dbf.recordCount);
-  progressBar.start(dbf.recordCount, 0);
+  // Sans échec, le fichier DBF est la référence : les clés absentes sont supprimées
+  if (stats.failed) {
+    print(colors.red(`❌ ${stats.failed} enregistrement(s) rejeté(s) dans ${folder}/${fileName} (détails dans ${ERROR_LOG_FILE}). Suppressions ignorées.`));
+  } else {
+    stats.removed = await removeMissing(model, keys, seenKeys, options.batchSize, scope ? scope.filter : {});
+  }
 
-  const records = await dbf.readRecords();
-  let insertedCount = 0;
+  print(
+    colors.green.bold(
+      `✅ Mise à jour de ${folder}/${fileName} : ${colors.green(stats.inserted)} ajouté(s), ${stats.updated} modifié(s), ${stats.unchanged} inchangé(s), ${stats.removed} supprimé(s).`
+    )
+  );
+};
 
-  for (const record of records) {
-    const sanitizedRecord = sanitizeRecord(record);
-    try {
-      await model.create(sanitizedRecord);
-      insertedCount++;
-      progressBar.update(insertedCount);
-    } catch (err) {
-      const errorMsg = `❌ Erreur d'insertion dans ${fileName}: ${err.message}`;
-      console.error(colors.red(errorMsg));
+// Descripteurs de champs du dernier import réussi d'un fichier
+const previousFields = async (storeCode, entity) => {
+  const previous = await ImportRun.lastImportedFile(storeCode, entity);
+  return previous ? previous.fields : null;
+};
+
+// Traitement d'un fichier DBF, retourne ses statistiques pour l'historique des imports
+// (`run` : identifiant de l'import, pour la mise en quarantaine des rejets et les points
+// de reprise ; `checkpoint` : point de reprise laissé par un import interrompu)
+const processFile = async (filePath, model, fileName, store, run = null, checkpoint = null) => {
+  const folder = store.folder;
+  let progressBar = null;
+  const stats = {
+    store: store.code,
+    entity: fileName,
+    file: path.basename(filePath),
+    status: "success",
+    recordCount: 0,
+    read: 0,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    removed: 0,
+    failed: 0,
+    firstErrors: [],
+    startedAt: new Date(),
+    run, // Hors schéma : ignoré à l'enregistrement dans l'historique
+  };
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      const errorMsg = `⚠️ Fichier ${stats.file} manquant dans ${folder}`;
+      print(colors.yellow(errorMsg));
       logError(errorMsg);
+      stats.status = "missing";
+      return stats;
+    }
+
+    stats.checksum = await dbfHeaderChecksum(filePath);
+    const { encoding, source } = await resolveEncoding(filePath, store, fileName, options.encoding);
+    stats.encoding = encoding;
+    stats.encodingSource = source;
+
+    const dbf = await DBFFile.open(filePath, { encoding });
+    stats.recordCount = dbf.recordCount;
+    stats.fields = dbf.fields.map(({ name, type, size, decimalPlaces }) => ({ name, type, size, decimalPlaces }));
+    print(colors.cyan.bold(`📄 Lecture de ${folder}/${stats.file} (${encoding}, ${source}). ${dbf.recordCount} enregistrements.`));
+
+    // Dérive de schéma : comparaison avec le modèle et avec le dernier import du fichier
+    stats.drift = detectDrift(model.schema, stats.fields, options.dryRun ? null : await previousFields(store.code, fileName));
+    if (hasDrift(stats.drift)) {
+      const failing = driftExceedsPolicy(stats.drift, options.drift);
+      const lines = formatDrift(stats.drift);
+      print((failing ? colors.red : colors.yellow)(`⚠️ Dérive de schéma dans ${folder}/${stats.file} :\n   - ${lines.join("\n   - ")}`));
+      logError(`Dérive de schéma dans ${folder}/${stats.file} : ${lines.join(" ; ")}`);
+
+      if (failing) {
+        stats.status = "drift";
+        stats.message = `dérive de schéma hors politique "${options.drift}"`;
+        print(colors.red.bold(`❌ Import de ${folder}/${fileName} refusé (${stats.message}).`));
+        return stats;
+      }
+    }
+
+    progressBar = multibar.create(dbf.recordCount, 0, { file: `${folder}/${stats.file}` });
+
+    // --since ne porte que sur une partie des factures : mise à jour incrémentale obligatoire
+    const scope = await sinceScope(fileName, path.dirname(filePath));
+
+    if (options.dryRun) {
+      await loadDryRun(dbf, model, stats, folder, progressBar, scope);
+    } else if (options.incremental || scope) {
+      await loadIncremental(dbf, model, stats, folder, progressBar, scope, checkpoint);
+    } else {
+      await loadFull(dbf, model, stats, folder, progressBar, checkpoint);
+    }
+  } catch (err) {
+    const errorMsg = `❌ Échec de l'import de ${folder}/${fileName} : ${err.message}`;
+    print(colors.red.bold(`\n${errorMsg}`));
+    logError(errorMsg);
+    stats.status = "failed";
+    stats.message = err.message;
+  } finally {
+    if (progressBar) multibar.remove(progressBar);
+    stats.finishedAt = new Date();
+    stats.duration = stats.finishedAt - stats.startedAt;
+  }
+
+  return stats;
+};
+
+// Statut global d'un import à partir des statuts de ses fichiers
+const runStatus = (files) => {
+  if (files.every((file) => file.status === "success")) return "success";
+  if (files.some((file) => file.status === "success")) return "partial";
+  return "failed";
+};
+
+// Résolution des liens entre les entités d'un magasin dont au moins un fichier a été importé
+const linkEntities = async (store, entities) => {
+  print(colors.blue(`🔗 Résolution des liens de ${store.folder}...`));
+  const report = await linkStore(store.code, entities, options.batchSize);
+
+  for (const link of report) {
+    const label = `${store.folder} : ${link.entity}.${link.field} → ${link.target}`;
+    if (link.error) {
+      print(colors.red(`❌ ${label} : ${link.error}`));
+      logError(`Liens ${label} : ${link.error}`);
+    } else if (link.orphanCount) {
+      const sample = link.orphans.slice(0, 5).map(({ code }) => code).join(", ");
+      print(
+        colors.yellow(
+          `⚠️ ${label} : ${link.linked} lié(s), ${link.unlinked} sans correspondance (${link.orphanCount} code(s) orphelin(s) : ${sample}${link.orphanCount > 5 ? "..." : ""})`
+        )
+      );
+    } else {
+      print(colors.green(`✅ ${label} : ${link.linked} lié(s).`));
     }
   }
 
-  progressBar.stop();
+  return report.map((link) => ({ store: store.code, ...link }));
+};
+
+// Contrôle de la qualité des données d'un magasin après import (règles portant sur les entités importées)
+const checkQuality = async (store, entities, runId) => {
+  print(colors.blue(`🩺 Contrôle qualité de ${store.folder}...`));
+  let results;
+  try {
+    results = await checkStoreQuality(store.code, entities, runId);
+  } catch (err) {
+    print(colors.red(`❌ Contrôle qualité de ${store.folder} : ${err.message}`));
+    logError(`Contrôle qualité ${store.folder} : ${err.message}`);
+    return;
+  }
+
+  for (const result of results) {
+    const label = `${store.folder} : ${result.rule}`;
+    if (result.error) {
+      print(colors.red(`❌ ${label} : ${result.error}`));
+      logError(`Contrôle qualité ${label} : ${result.error}`);
+    } else if (result.count) {
+      const color = result.severity === "error" ? colors.red : colors.yellow;
+      print(color(`⚠️ ${label} : ${result.count} ${result.entity}(s) en anomalie.`));
+    } else {
+      print(colors.green(`✅ ${label} : aucune anomalie.`));
+    }
+  }
+};
+
+// Traitement de tous les fichiers d'un magasin (un worker)
+//  - runId       : identifiant de l'import (absent en --dry-run)
+//  - completed   : fichiers "MAGASIN:entité" déjà importés (reprise)
+//  - checkpoints : points de reprise des fichiers interrompus
+//  - onFile      : appelé avec les statistiques de chaque fichier terminé
+//  - onLinks     : appelé avec le rapport de résolution des liens du magasin
+const processStore = async (store, models, { runId, completed, checkpoints, onFile, onLinks }) => {
+  const folderPath = path.join(options.source, store.folder);
+  const files = [];
+
+  if (!fs.existsSync(folderPath)) {
+    const errorMsg = `⚠️ Dossier introuvable : ${folderPath}`;
+    print(colors.yellow(errorMsg));
+    logError(errorMsg);
+    return files;
+  }
+
+  print(colors.blue.bold(`📂 Traitement des fichiers dans le dossier : ${store.folder}`));
+
+  for (const entity of options.entities) {
+    const key = checkpointKey(store.code, entity);
+    if (completed.has(key)) {
+      print(colors.gray(`⏭️ ${store.folder}/${ENTITIES[entity].file} déjà importé.`));
+      continue;
+    }
+
+    const stats = await processFile(
+      path.join(folderPath, ENTITIES[entity].file),
+      models[entity],
+      entity,
+      store,
+      runId,
+      checkpoints.get(key)
+    );
+    files.push(stats);
+    await onFile(stats);
+    print(colors.cyan(`⏱️ Temps écoulé depuis le lancement : ${formatElapsedTime()}`));
+  }
+
+  // Liens et règles de qualité à recalculer : entités importées par cet import (y compris avant une reprise)
+  const imported = options.entities.filter(
+    (entity) =>
+      completed.has(checkpointKey(store.code, entity)) ||
+      files.some((stats) => stats.entity === entity && stats.status === "success")
+  );
+  if (runId && imported.length) {
+    await onLinks(await linkEntities(store, imported));
+    await checkQuality(store, imported, runId);
+  }
+
+  return files;
+};
+
+// Exécution d'un import déjà enregistré : ses options remplacent celles de la
+// ligne de commande et seuls les fichiers non importés sont retraités
+//  - --resume : dernier import lancé, s'il est inachevé
+//  - --run    : import demandé via l'API (en attente ou interrompu)
+const resumeRun = async () => {
+  const run = options.run
+    ? await ImportRun.findById(options.run)
+    : await ImportRun.findOne({ status: { $ne: "queued" } }).sort("-startedAt");
+
+  if (options.run && !run) {
+    console.error(colors.red(`❌ Import introuvable : ${options.run}`));
+    process.exit(1);
+  }
+  if (!run || run.status === "success") {
+    console.log(colors.green("✅ Aucun import inachevé à reprendre."));
+    process.exit(0);
+  }
+
+  Object.assign(options, {
+    stores: run.stores,
+    entities: run.entities,
+    incremental: run.mode === "incremental",
+    since: run.since || null,
+    source: run.source || options.source,
+    encoding: run.encoding || null,
+    drift: run.drift || options.drift,
+  });
+
+  if (run.status === "queued") {
+    run.status = "running";
+    run.startedAt = new Date();
+    await run.save();
+
+    console.log(colors.cyan(`🧾 Exécution de l'import ${run._id} demandé via l'API.`));
+    return run;
+  }
+
+  run.files = run.files.filter((file) => file.status === "success");
+  run.status = "running";
+  run.error = undefined;
+  run.finishedAt = undefined;
+  run.resumes += 1;
+  await run.save();
+
   console.log(
-    colors.green.bold(
-      `✅ Importation réussie pour ${fileName}. Total inséré : ${colors.green(insertedCount)}${colors.blue("/")}${dbf.recordCount} enregistrements.`
+    colors.cyan(
+      `↪️ Reprise de l'import ${run._id} (${run.files.length} fichier(s) déjà importé(s), ${run.checkpoints.size} en cours).`
     )
   );
+  return run;
+};
+
+// Récapitulatif combiné de tous les workers, par magasin
+const printSummary = (files) => {
+  const totals = {};
+  for (const file of files) {
+    const total = (totals[file.store] = totals[file.store] || {
+      fichiers: 0,
+      "en échec": 0,
+      lus: 0,
+      insérés: 0,
+      modifiés: 0,
+      supprimés: 0,
+      rejetés: 0,
+    });
+    total.fichiers++;
+    if (file.status !== "success") total["en échec"]++;
+    total.lus += file.read;
+    total.insérés += file.inserted;
+    total.modifiés += file.updated;
+    total.supprimés += file.removed;
+    total.rejetés += file.failed;
+  }
+
+  console.log(colors.blue.bold("\n📊 Récapitulatif par magasin"));
+  console.table(totals);
 };
 
 // Fonction principale d'importation des données
 const importDbfsData = async () => {
   console.time("⏱️ Temps total d'exécution");
 
-  const folders = [
-    "AVB", "AW", "DQ", "FMB", "HD", "KONE", "KOUMAC", "LD",
-    "LE_BROUSSARD", "MEARE", "PAITA_BRICOLAGE", "QC", "SITEC", "VKP",
-  ];
-  const DBF_FOLDER = path.resolve("./_dbf");
+  let files = [];
+  let run = null;
+  // Code de sortie non nul si l'import a échoué (lu par le planificateur et l'API)
+  let exitCode = 0;
 
   try {
-    await connectDB();
+    // Chargement des modèles : toute incohérence du registre est bloquante
+    let storeModels;
+    try {
+      storeModels = await loadStoreModels();
+    } catch (err) {
+      console.error(colors.red.bold(`❌ ${err.message}`));
+      logError(err.message);
+      process.exit(1);
+    }
 
-    for (const folder of folders) {
-      const folderPath = path.join(DBF_FOLDER, folder);
+    if (options.dryRun) {
+      console.log(colors.yellow.bold("\n🔍 Mode --dry-run : lecture et validation uniquement, aucune écriture."));
+    } else {
+      await connectDB();
+    }
 
-      if (!fs.existsSync(folderPath)) {
-        const errorMsg = `⚠️ Dossier introuvable : ${folderPath}`;
-        console.warn(colors.yellow(errorMsg));
-        logError(errorMsg);
-        continue;
-      }
+    // Historique de l'import : reprise du dernier import inachevé ou nouvel import
+    let completed = new Set();
+    if (options.resume || options.run) {
+      run = await resumeRun();
+      completed = new Set(run.files.map((file) => checkpointKey(file.store, file.entity)));
+    } else if (!options.dryRun) {
+      run = await ImportRun.create({
+        mode: options.incremental ? "incremental" : "full",
+        stores: options.stores,
+        entities: options.entities,
+        since: options.since,
+        source: options.source,
+        encoding: options.encoding,
+        drift: options.drift,
+      });
+      console.log(colors.cyan(`🧾 Import enregistré sous l'identifiant ${run._id}`));
+    }
+    const checkpoints = run ? new Map(run.checkpoints) : new Map();
 
-      console.log(colors.blue.bold(`\n📂 Traitement des fichiers dans le dossier : ${folder}`));
-
-      const models = {
-        article: await loadModel(folder, "article"),
-        classnum: await loadModel(folder, "classnum"),
-        fournisseur: await loadModel(folder, "fournisseur"),
-        client: await loadModel(folder, "client"),
-        facture: await loadModel(folder, "facture"),
-        factureDetail: await loadModel(folder, "factureDetail"),
-        tier: await loadModel(folder, "tier"),
-      };
-
-      for (const [fileName, model] of Object.entries(models)) {
-        if (model) {
-          const fileMap = {
-            article: "article.dbf",
-            classnum: "classes.dbf",
-            fournisseur: "fourniss.dbf",
-            client: "clients.dbf",
-            facture: "facture.dbf",
-            factureDetail: "detail.dbf",
-            tier: "tiers.dbf",
-          };
-          await processFile(path.join(folderPath, fileMap[fileName]), model, fileName, folder);
-          console.log(colors.cyan(`⏱️ Temps écoulé depuis le lancement : ${formatElapsedTime()}`));
-        }
-      }
+    // Enregistrements successifs de l'historique (les workers terminent leurs fichiers en parallèle)
+    let saving = Promise.resolve();
+    const onFile = async (stats) => {
+      if (!run) return;
+      run.files.push(stats);
+      saving = saving
+        .then(() => run.save())
+        .then(() =>
+          ImportRun.updateOne(
+            { _id: run._id },
+            { $unset: { [`checkpoints.${checkpointKey(stats.store, stats.entity)}`]: 1 } }
+          )
+        );
+      await saving;
+    };
+    const onLinks = async (links) => {
+      // Un rapport par lien et par magasin (remplacé en cas de reprise)
+      const sameLink = (a, b) => a.store === b.store && a.entity === b.entity && a.field === b.field;
+      run.links = run.links.filter((link) => !links.some((item) => sameLink(item, link)));
+      run.links.push(...links);
+      saving = saving.then(() => run.save());
+      await saving;
+    };
+
+    console.log(colors.blue(`\n⚙️ ${options.stores.length} magasin(s), ${options.concurrency} en parallèle.\n`));
+    multibar = createMultiBar();
+
+    const results = await asyncPool(options.stores.map(getStore), options.concurrency, (store) =>
+      processStore(store, storeModels[store.code], { runId: run && run._id, completed, checkpoints, onFile, onLinks })
+    );
+
+    multibar.stop();
+    multibar = null;
+    files = results.flat();
+
+    if (run) run.status = runStatus(run.files);
+    if (runStatus(run ? run.files : files) === "failed") exitCode = 1;
+    if (!files.length) {
+      console.warn(colors.yellow("⚠️ Aucun fichier traité."));
+    } else {
+      printSummary(files);
     }
 
     console.log(colors.green.inverse("🎉 Importation complète pour TOUS les dossiers."));
     console.log(colors.cyan(`⏱️ Temps total écoulé : ${formatElapsedTime()}`));
     console.timeEnd("⏱️ Temps total d'exécution");
   } catch (error) {
+    if (multibar) multibar.stop();
     console.error(colors.red.bold(`❌ Erreur : ${error.message}`));
     logError(`Erreur critique : ${error.message}`);
+    if (run) {
+      run.status = "failed";
+      run.error = error.message;
+    }
+    exitCode = 1;
   } finally {
-    process.exit();
+    if (run) {
+      run.finishedAt = new Date();
+      run.duration = run.finishedAt - run.startedAt;
+      await run.save().catch((err) => logError(`Historique non enregistré : ${err.message}`));
+    }
+    process.exit(exitCode);
   }
 };
 
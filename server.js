@@ -5,10 +5,18 @@ import connectDB from "./config/db.js";
 import cors from "cors";
 import colors from "colors";
 import errorHandler from "./middleware/error.js"; // Middleware d'erreurs
+import { loadStoreModels } from "./models/bases/index.js";
+import { requeueImportRuns } from "./utils/importRunner.js";
+import { checkIndexes } from "./utils/dbIndexes.js";
 
 
 // Route Files
 import bootcamps from './routes/bootcamps.js'
+import imports from './routes/imports.js'
+import auth from './routes/auth.js'
+import stores from './routes/stores.js'
+import articles from './routes/articles.js'
+import transfers from './routes/transfers.js'
 
 
 
@@ -24,9 +32,32 @@ const app = express()
 app.use(express.json())
 
 
+
+// Chargement des modèles des magasins (registre invalide = arrêt du serveur)
+try {
+  await loadStoreModels();
+} catch (err) {
+  console.error(`❌ ${err.message}`.red);
+  process.exit(1);
+}
+
 // Connexion à la base de données MongoDB
 connectDB();
 
+// Contrôle des index (création : npm run db:indexes)
+checkIndexes()
+  .then((reports) => {
+    const missing = reports.filter((report) => report.missing.length);
+    if (missing.length) {
+      const count = missing.reduce((total, report) => total + report.missing.length, 0);
+      console.warn(`⚠️ ${count} index manquant(s) sur ${missing.length} collection(s) : lancer npm run db:indexes`.yellow);
+    }
+  })
+  .catch((err) => console.error(`❌ Contrôle des index : ${err.message}`.red));
+
+// Reprise des imports demandés via l'API et restés en attente
+requeueImportRuns().catch((err) => console.error(`❌ ${err.message}`.red));
+
 
 
 // Configuration des logs pour le mode développement
@@ -37,6 +68,11 @@ if (process.env.NODE_ENV === "development") {
 // Mount Routers 
 
 app.use('/api/v2/bootcamps', bootcamps)
+app.use('/api/v2/imports', imports)
+app.use('/api/v2/auth', auth)
+app.use('/api/v2/stores', stores)
+app.use('/api/v2/articles', articles)
+app.use('/api/v2/transfers', transfers)
 
 // Gestionnaire d'erreurs global (toujours en dernier !)
 app.use(errorHandler);
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CONVERTERS, normalizedSchema, normalizeRecord } from "../utils/fieldNormalization.js";
+
+// Conversions des champs DBF (utils/fieldNormalization.js)
+
+const { boolean, number, date } = CONVERTERS;
+
+test("boolean : indicateurs O/N et variantes", () => {
+  for (const value of ["O", "oui", " Y ", "yes", "T", "V", "x", "1", true]) {
+    assert.equal(boolean.convert(value), true, `${value}`);
+  }
+  for (const value of ["N", "non", "F", "0", "", "  ", null, undefined, false]) {
+    assert.equal(boolean.convert(value), false, `${value}`);
+  }
+  assert.equal(boolean.convert("peut-être"), null);
+});
+
+test("number : séparateurs décimaux et de milliers", () => {
+  assert.equal(number.convert("1234.50"), 1234.5);
+  assert.equal(number.convert("1234,50"), 1234.5);
+  assert.equal(number.convert("1 234,50"), 1234.5);
+  assert.equal(number.convert("1\u00a0234,50"), 1234.5);
+  assert.equal(number.convert("1.234,50"), 1234.5);
+  assert.equal(number.convert("1,234.50"), 1234.5);
+  assert.equal(number.convert("1.234.567"), 1234567);
+  assert.equal(number.convert("1.234.567,89"), 1234567.89);
+  assert.equal(number.convert("0012"), 12);
+  assert.equal(number.convert("-3,5"), -3.5);
+  assert.equal(number.convert(",5"), 0.5);
+  assert.equal(number.convert(42), 42);
+});
+
+test("number : vide ou non numérique → null", () => {
+  for (const value of ["", "  ", "abc", "12a", "1,2,3", "12.34.5", "1.234,5,6", "1,", NaN, null, undefined]) {
+    assert.equal(number.convert(value), null, `${value}`);
+  }
+});
+
+test("date : formats JJ/MM/AAAA, JJ/MM/AA, AAAAMMJJ et AAAA-MM-JJ en UTC", () => {
+  const expected = new Date(Date.UTC(2024, 2, 15));
+  for (const value of ["15/03/2024", "15.03.2024", "15-3-2024", "15/03/24", "20240315", "2024-03-15"]) {
+    assert.deepEqual(date.convert(value), expected, value);
+  }
+  assert.deepEqual(date.convert("01/01/85"), new Date(Date.UTC(1985, 0, 1)));
+  assert.deepEqual(date.convert(expected), expected);
+});
+
+test("date : vide, impossible ou invalide → null", () => {
+  for (const value of ["", "31/02/2024", "20241301", "15/03", "demain", new Date("x"), null, undefined]) {
+    assert.equal(date.convert(value), null, `${value}`);
+  }
+});
+
+test("normalizedSchema : types Mongoose des valeurs normalisées", () => {
+  assert.deepEqual(normalizedSchema({ ACTIF: "boolean", MONTANT: "number", DATE: "date" }), {
+    ACTIF: { type: Boolean },
+    MONTANT: { type: Number },
+    DATE: { type: Date },
+  });
+  assert.equal(normalizedSchema({}), null);
+  assert.equal(normalizedSchema(undefined), null);
+});
+
+test("normalizeRecord : valeurs converties dans normalized, valeurs brutes conservées", () => {
+  const record = { ACTIF: "O", MONTANT: "1.234,50", NOM: "Dupont" };
+  const result = normalizeRecord(record, { ACTIF: "boolean", MONTANT: "number", DATE: "date" });
+
+  assert.deepEqual(result, { ...record, normalized: { ACTIF: true, MONTANT: 1234.5 } });
+  assert.equal(record.normalized, undefined);
+  assert.equal(normalizeRecord(record, null), record);
+});
@@ -0,0 +1,43 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import imports from "../routes/imports.js";
+import errorHandler from "../middleware/error.js";
+
+// Routes /api/v2/imports sans base MongoDB : les requêtes invalides sont rejetées
+// avant tout accès à la base et ne doivent pas arrêter le processus
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/v2/imports", imports);
+  app.use(errorHandler);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v2/imports`;
+});
+
+after(() => server.close());
+
+test("GET / avec un filtre invalide répond 400", async () => {
+  const res = await fetch(`${baseUrl}?startedAt=foo`);
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.success, false);
+  assert.match(body.error, /startedAt/);
+});
+
+test("GET /:id/rejects sans jeton répond 401", async () => {
+  const res = await fetch(`${baseUrl}/foo/rejects`);
+  assert.equal(res.status, 401);
+});
+
+test("le serveur répond encore après une requête invalide", async () => {
+  await fetch(`${baseUrl}?status[in]=foo&startedAt[gt]=bar`);
+  const res = await fetch(`${baseUrl}?startedAt=foo`);
+  assert.equal(res.status, 400);
+});
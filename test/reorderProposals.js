@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { proposalLine, fillToFranco } from "../utils/reorderProposals.js";
+
+// Calcul des propositions de réapprovisionnement (utils/reorderProposals.js)
+
+// Ventes V1–V12 identiques chaque mois
+const sales = (perMonth) => Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`V${i + 1}`, perMonth]));
+
+// Ligne de bon de commande minimale pour fillToFranco
+const line = (fields) => ({ available: 0, ENCDE: 0, ...fields, amount: fields.quantity * fields.PACHAT });
+
+test("proposalLine : quantité jusqu'au point de commande, arrondie au conditionnement", () => {
+  const article = { NART: "A1", STOCK: 2, RESERV: 1, SMINI: 10, CONDITNM: 6, PACHAT: 2.5, ...sales(3) };
+  const result = proposalLine(article, { DELAPRO: 30, COEFSMINI: 1 });
+
+  assert.equal(result.available, 1);
+  assert.equal(result.monthlySales, 3);
+  assert.equal(result.reorderPoint, 10);
+  assert.equal(result.quantity, 12);
+  assert.equal(result.amount, 30);
+});
+
+test("proposalLine : stock de sécurité et besoin pendant le délai fournisseur", () => {
+  // max(SMINI 4 × 1,5 ; STSECUR 5 + 3 ventes/mois × 60 j / 30) = 11, stock projeté 0 + 3
+  const article = { NART: "A2", STOCK: 0, ENCDE: 3, SMINI: 4, STSECUR: 5, ...sales(3) };
+  const result = proposalLine(article, { DELAPRO: 60, COEFSMINI: 1.5 });
+
+  assert.equal(result.reorderPoint, 11);
+  assert.equal(result.quantity, 8);
+  assert.equal(result.amount, 0);
+});
+
+test("proposalLine : sans fournisseur, point de commande au stock minimum", () => {
+  const result = proposalLine({ NART: "A3", STOCK: 1, SMINI: 4, ...sales(30) });
+  assert.equal(result.reorderPoint, 4);
+  assert.equal(result.quantity, 3);
+});
+
+test("proposalLine : article couvert par le stock et l'en-commande → null", () => {
+  assert.equal(proposalLine({ NART: "A4", STOCK: 6, RESERV: 2, ENCDE: 6, SMINI: 10 }), null);
+  assert.equal(proposalLine({ NART: "A5", STOCK: 0 }), null);
+});
+
+test("fillToFranco : colis ajoutés en priorité sur les articles les plus vendus", () => {
+  const a = line({ NART: "A", quantity: 2, reorderPoint: 2, monthlySales: 1, CONDITNM: 1, PACHAT: 10 });
+  const b = line({ NART: "B", quantity: 1, reorderPoint: 1, monthlySales: 4, CONDITNM: 2, PACHAT: 5 });
+
+  assert.equal(fillToFranco([a, b], 50), 55);
+  assert.equal(b.quantity, 5);
+  assert.equal(b.amount, 25);
+  assert.equal(a.quantity, 3);
+  assert.equal(a.amount, 30);
+});
+
+test("fillToFranco : couverture limitée à MAX_FRANCO_COVER mois de ventes", () => {
+  const a = line({ NART: "A", quantity: 2, reorderPoint: 2, monthlySales: 1, CONDITNM: 1, PACHAT: 10 });
+  const b = line({ NART: "B", quantity: 1, reorderPoint: 1, monthlySales: 4, CONDITNM: 2, PACHAT: 5 });
+  // Article sans ventes ni prix d'achat : jamais complété
+  const c = line({ NART: "C", quantity: 1, reorderPoint: 1, monthlySales: 0, CONDITNM: 1, PACHAT: 0 });
+
+  assert.equal(fillToFranco([a, b, c], 1000), 115);
+  assert.equal(a.quantity, 5);
+  assert.equal(b.quantity, 13);
+  assert.equal(c.quantity, 1);
+});
+
+test("fillToFranco : bon déjà au franco inchangé", () => {
+  const a = line({ NART: "A", quantity: 4, reorderPoint: 4, monthlySales: 2, CONDITNM: 1, PACHAT: 10 });
+  assert.equal(fillToFranco([a], 30), 40);
+  assert.equal(a.quantity, 4);
+});
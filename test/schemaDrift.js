@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { detectDrift, driftExceedsPolicy, hasDrift } from "../utils/schemaDrift.js";
+
+// Détection de la dérive de schéma des fichiers DBF (utils/schemaDrift.js)
+
+const schema = new mongoose.Schema(
+  {
+    NART: { type: String, maxlength: 10 },
+    STOCK: Number,
+    DATEMAJ: Date,
+    ACTIF: Boolean,
+    fournisseur: { type: mongoose.Schema.Types.ObjectId, ref: "Fournisseur" },
+  },
+  { timestamps: true }
+);
+
+const FIELDS = [
+  { name: "NART", type: "C", size: 10 },
+  { name: "STOCK", type: "N", size: 10, decimalPlaces: 2 },
+  { name: "DATEMAJ", type: "D", size: 8 },
+  { name: "ACTIF", type: "L", size: 1 },
+];
+
+const emptyReport = () => ({ unknown: [], missing: [], types: [], sizes: [], changed: [] });
+
+test("detectDrift : fichier conforme au schéma", () => {
+  const report = detectDrift(schema, FIELDS, FIELDS);
+  assert.deepEqual(report, emptyReport());
+  assert.equal(hasDrift(report), false);
+});
+
+test("detectDrift : colonnes inconnues et manquantes (hors champs techniques et liens)", () => {
+  const report = detectDrift(schema, [...FIELDS.slice(0, 3), { name: "EXTRA", type: "C", size: 5 }]);
+  assert.deepEqual(report.unknown, ["EXTRA"]);
+  assert.deepEqual(report.missing, ["ACTIF"]);
+});
+
+test("detectDrift : types incompatibles et colonnes trop longues", () => {
+  const fields = [
+    { name: "NART", type: "C", size: 12 },
+    { name: "STOCK", type: "C", size: 10 },
+    { name: "DATEMAJ", type: "T", size: 8 },
+    { name: "ACTIF", type: "L", size: 1 },
+  ];
+  const report = detectDrift(schema, fields);
+
+  assert.deepEqual(report.types, [{ field: "STOCK", dbfType: "C", schemaType: "Number" }]);
+  assert.deepEqual(report.sizes, [{ field: "NART", size: 12, maxlength: 10 }]);
+});
+
+test("detectDrift : taille ou décimales modifiées depuis le dernier import", () => {
+  const previous = [{ name: "NART", type: "C", size: 10 }, { name: "STOCK", type: "N", size: 10 }];
+  const report = detectDrift(schema, FIELDS, previous);
+
+  assert.deepEqual(report.changed, [
+    {
+      field: "STOCK",
+      from: { type: "N", size: 10, decimalPlaces: 0 },
+      to: { type: "N", size: 10, decimalPlaces: 2 },
+    },
+  ]);
+  assert.deepEqual(detectDrift(schema, FIELDS).changed, []);
+});
+
+test("driftExceedsPolicy : warn ne bloque jamais", () => {
+  const report = { ...emptyReport(), missing: ["ACTIF"], types: [{ field: "STOCK" }] };
+  assert.equal(driftExceedsPolicy(report, "warn"), false);
+});
+
+test("driftExceedsPolicy : types bloque sur colonne manquante ou type incompatible", () => {
+  assert.equal(driftExceedsPolicy({ ...emptyReport(), missing: ["ACTIF"] }, "types"), true);
+  assert.equal(driftExceedsPolicy({ ...emptyReport(), types: [{ field: "STOCK" }] }, "types"), true);
+  assert.equal(driftExceedsPolicy({ ...emptyReport(), unknown: ["EXTRA"], sizes: [{ field: "NART" }] }, "types"), false);
+});
+
+test("driftExceedsPolicy : strict bloque à la moindre dérive", () => {
+  assert.equal(driftExceedsPolicy({ ...emptyReport(), unknown: ["EXTRA"] }, "strict"), true);
+  assert.equal(driftExceedsPolicy({ ...emptyReport(), changed: [{ field: "STOCK" }] }, "strict"), true);
+  assert.equal(driftExceedsPolicy(emptyReport(), "strict"), false);
+});
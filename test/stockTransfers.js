@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { availableStock, monthlySales, surplusStock, missingStock } from "../utils/stockTransfers.js";
+
+// Quantités des propositions de transfert entre magasins (utils/stockTransfers.js)
+
+// Ventes V1–V12 identiques chaque mois
+const sales = (perMonth) => Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`V${i + 1}`, perMonth]));
+
+test("availableStock et monthlySales : champs absents comptés à zéro", () => {
+  assert.equal(availableStock({ STOCK: 10, RESERV: 3 }), 7);
+  assert.equal(availableStock({}), 0);
+  assert.equal(monthlySales({ ...sales(2), V12: 14 }), 3);
+  assert.equal(monthlySales({}), 0);
+});
+
+test("surplusStock : disponible moins stock de sécurité et un mois de ventes arrondi au supérieur", () => {
+  assert.equal(surplusStock({ STOCK: 20, RESERV: 2, STSECUR: 5, ...sales(2.5) }), 10);
+  assert.equal(surplusStock({ STOCK: 20 }), 20);
+});
+
+test("surplusStock : négatif sous le stock de sécurité", () => {
+  assert.equal(surplusStock({ STOCK: 3, STSECUR: 5 }), -2);
+  assert.equal(surplusStock({ STOCK: 4, RESERV: 4, ...sales(1) }), -1);
+});
+
+test("missingStock : stock minimum moins disponible et en-commande", () => {
+  assert.equal(missingStock({ SMINI: 10, STOCK: 4, RESERV: 1, ENCDE: 2 }), 5);
+  assert.equal(missingStock({ SMINI: 2.5 }), 3);
+});
+
+test("missingStock : nul ou négatif sans besoin", () => {
+  assert.equal(missingStock({ SMINI: 10, STOCK: 6, ENCDE: 4 }), 0);
+  assert.equal(missingStock({ SMINI: 5, STOCK: 12 }), -7);
+  assert.equal(missingStock({ STOCK: 3 }), -3);
+});
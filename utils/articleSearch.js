@@ -0,0 +1,176 @@
+import { STORES } from "../config/stores.js";
+import { getStoreModel } from "../models/bases/index.js";
+
+// Recherche plein texte des articles (DESIGN, DESIGN2, DESIFRN, REFER, OBSERV)
+//  - index texte MongoDB "article_text" (models/bases/schemas/Article.js) : racinisation
+//    française, accents et casse ignorés, classement par pertinence (textScore pondéré)
+//  - requêtes courtes sans résultat : recherche approchée tolérant une faute de frappe
+//    par mot (lettre en trop, en moins ou remplacée), classée localement avec les mêmes poids
+// La recherche multi-magasins interroge chaque magasin et fusionne les résultats par score.
+
+// Champs recherchés et leur poids (identiques aux poids de l'index texte)
+export const SEARCH_WEIGHTS = { DESIGN: 10, REFER: 8, DESIGN2: 5, DESIFRN: 5, OBSERV: 1 };
+
+// Champs renvoyés pour chaque article trouvé
+const RESULT_FIELDS = ["NART", "DESIGN", "DESIGN2", "DESIFRN", "REFER", "OBSERV", "GENCOD", "STOCK", "PVTE", "PVTETTC", "PLACE"];
+
+export const DEFAULT_SEARCH_LIMIT = 25;
+export const MAX_SEARCH_LIMIT = 100;
+
+// Nombre de résultats demandé (paramètre `limit`), borné à MAX_SEARCH_LIMIT
+export const searchLimit = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+// Recherche approchée : nombre de mots maximal de la requête, longueur minimale d'un mot
+// pour tolérer une faute, nombre de candidats lus avant classement
+export const MAX_FUZZY_TERMS = 3;
+const MIN_FUZZY_LENGTH = 4;
+const FUZZY_CANDIDATES = 500;
+
+// Variantes accentuées des lettres (recherche approchée par expression régulière)
+const ACCENTS = {
+  a: "aàâä",
+  c: "cç",
+  e: "eéèêë",
+  i: "iîï",
+  o: "oôö",
+  u: "uùûü",
+  y: "yÿ",
+};
+
+// Texte sans accents, en minuscules
+export const foldAccents = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// Mots d'une requête, sans les opérateurs de $text (négation, phrase)
+const queryWords = (query) => String(query || "").split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Mots d'une requête sans accents ni doublons (recherche approchée)
+export const queryTerms = (query) => [...new Set(queryWords(query).map(foldAccents))];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Motif d'une lettre insensible aux accents
+const letterPattern = (char) => (ACCENTS[char] ? `[${ACCENTS[char]}]` : escapeRegex(char));
+
+const termPattern = (chars) => chars.map((char) => (char === "." ? "." : letterPattern(char))).join("");
+
+// Expression régulière d'un mot tolérant une faute (exact pour les mots courts)
+export const fuzzyPattern = (term) => {
+  const chars = [...term];
+  if (chars.length < MIN_FUZZY_LENGTH) return termPattern(chars);
+
+  const variants = new Set([termPattern(chars)]);
+  for (let i = 0; i <= chars.length; i++) {
+    // Lettre en trop dans le texte
+    variants.add(termPattern([...chars.slice(0, i), ".", ...chars.slice(i)]));
+    if (i < chars.length) {
+      // Lettre remplacée ou manquante dans le texte
+      variants.add(termPattern([...chars.slice(0, i), ".", ...chars.slice(i + 1)]));
+      variants.add(termPattern([...chars.slice(0, i), ...chars.slice(i + 1)]));
+    }
+  }
+  return [...variants].join("|");
+};
+
+// Score local d'un article pour la recherche approchée : poids des champs contenant
+// chaque mot (plein poids si le mot exact y figure, demi-poids pour une variante)
+const fuzzyScore = (article, terms) =>
+  terms.reduce((score, term) => {
+    const exact = new RegExp(escapeRegex(term));
+    const fuzzy = new RegExp(fuzzyPattern(term));
+    return Object.entries(SEARCH_WEIGHTS).reduce((total, [field, weight]) => {
+      const text = foldAccents(article[field]);
+      if (exact.test(text)) return total + weight;
+      if (fuzzy.test(text)) return total + weight / 2;
+      return total;
+    }, score);
+  }, 0);
+
+// Recherche par l'index texte, triée par pertinence
+const textSearch = (model, query, limit) =>
+  model
+    .find({ $text: { $search: query, $language: "french" } }, { score: { $meta: "textScore" } })
+    .select(RESULT_FIELDS.join(" "))
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .lean();
+
+// Recherche approchée : chaque mot (à une faute près) doit figurer dans l'un des champs
+const fuzzySearch = async (model, terms, limit) => {
+  const filter = {
+    $and: terms.map((term) => {
+      const regex = new RegExp(fuzzyPattern(term), "i");
+      return { $or: Object.keys(SEARCH_WEIGHTS).map((field) => ({ [field]: regex })) };
+    }),
+  };
+
+  const candidates = await model.find(filter).select(RESULT_FIELDS.join(" ")).limit(FUZZY_CANDIDATES).lean();
+
+  return candidates
+    .map((article) => ({ ...article, score: fuzzyScore(article, terms) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Recherche dans les articles d'un magasin.
+// Retourne { fuzzy, textIndex, results } : fuzzy indique si la recherche approchée a été
+// utilisée, textIndex si l'index texte existe. Sans index texte (magasin jamais importé
+// en complet ni passé par npm run db:indexes), la recherche approchée est seule utilisée.
+export const searchStoreArticles = async (storeCode, query, limit = DEFAULT_SEARCH_LIMIT) => {
+  const terms = queryTerms(query);
+  if (!terms.length) return { fuzzy: false, textIndex: true, results: [] };
+
+  const model = getStoreModel(storeCode, "article");
+  let results;
+  try {
+    results = await textSearch(model, queryWords(query).join(" "), limit);
+  } catch (err) {
+    if (err.codeName !== "IndexNotFound") throw err;
+    return { fuzzy: true, textIndex: false, results: await fuzzySearch(model, terms, limit) };
+  }
+
+  if (results.length || terms.length > MAX_FUZZY_TERMS) {
+    return { fuzzy: false, textIndex: true, results };
+  }
+
+  return { fuzzy: true, textIndex: true, results: await fuzzySearch(model, terms, limit) };
+};
+
+// Recherche dans les articles de plusieurs magasins (tous par défaut), résultats
+// fusionnés par score décroissant et annotés du code magasin.
+// Un magasin en erreur n'interrompt pas la recherche : il est signalé dans `skipped`,
+// et les magasins sans index texte dans `withoutTextIndex`.
+export const searchAllArticles = async (query, limit = DEFAULT_SEARCH_LIMIT, storeCodes = null) => {
+  const stores = storeCodes ? STORES.filter((store) => storeCodes.includes(store.code)) : STORES;
+
+  const skipped = [];
+  const withoutTextIndex = [];
+  const searches = await Promise.all(
+    stores.map(async (store) => {
+      try {
+        const { fuzzy, textIndex, results } = await searchStoreArticles(store.code, query, limit);
+        if (!textIndex) withoutTextIndex.push(store.code);
+        return { fuzzy, results: results.map((article) => ({ store: store.code, ...article })) };
+      } catch (err) {
+        skipped.push({ store: store.code, error: err.message });
+        return { fuzzy: false, results: [] };
+      }
+    })
+  );
+
+  // Scores de l'index texte et de la recherche approchée non comparables :
+  // les résultats exacts passent devant
+  const exact = searches.filter((search) => !search.fuzzy).flatMap((search) => search.results);
+  const fuzzy = searches.filter((search) => search.fuzzy).flatMap((search) => search.results);
+  const byScore = (a, b) => b.score - a.score;
+
+  return {
+    fuzzy: !exact.length && fuzzy.length > 0,
+    results: [...exact.sort(byScore), ...fuzzy.sort(byScore)].slice(0, limit),
+    withoutTextIndex,
+    skipped,
+  };
+};
@@ -0,0 +1,21 @@
+// Exécution d'une fonction asynchrone sur chaque élément d'une liste,
+// avec au plus `concurrency` exécutions simultanées.
+// Les résultats sont renvoyés dans l'ordre de la liste.
+const asyncPool = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async (slot) => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], slot);
+    }
+  };
+
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, (_, slot) => runWorker(slot)));
+
+  return results;
+};
+
+export default asyncPool;
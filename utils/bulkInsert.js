@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Insertion d'un lot de documents en mode non ordonné.
+// Les documents valides sont insérés même si d'autres échouent ; chaque échec
+// (validation Mongoose ou erreur d'écriture MongoDB) est renvoyé avec l'index
+// du document dans le lot.
+// Retourne { inserted, errors: [{ index, message, code }] } (code : erreurs d'écriture MongoDB)
+const insertBatch = async (model, docs) => {
+  if (!docs.length) {
+    return { inserted: 0, errors: [] };
+  }
+
+  try {
+    const res = await model.insertMany(docs, { ordered: false, rawResult: true });
+    const validationErrors = (res.mongoose && res.mongoose.validationErrors) || [];
+
+    return {
+      inserted: res.insertedCount,
+      errors: validationErrors.map((err) => ({ index: err.index, message: err.message })),
+    };
+  } catch (err) {
+    // Erreur globale (connexion, etc.) : on la laisse remonter
+    if (!err.writeErrors || !Array.isArray(err.results)) {
+      throw err;
+    }
+
+    // Mongoose recopie chaque WriteError du pilote ({ ...writeError, index }) : errmsg et
+    // code, qui sont des accesseurs, ne sont lisibles que sur l'erreur d'origine (`err`)
+    const errors = [];
+    err.results.forEach((result, index) => {
+      if (result instanceof mongoose.Document) return;
+      errors.push({
+        index,
+        message: result.err?.errmsg ?? result.message ?? String(result),
+        code: result.err?.code ?? result.code,
+      });
+    });
+
+    return { inserted: docs.length - errors.length, errors };
+  }
+};
+
+export default insertBatch;
@@ -0,0 +1,74 @@
+// Gestion des générations de collections pour l'import DBF :
+//   <collection>_staging  : import en cours
+//   <collection>          : génération servie par l'API
+//   <collection>_previous : génération précédente (retour arrière en une étape)
+export const STAGING_SUFFIX = "_staging";
+export const PREVIOUS_SUFFIX = "_previous";
+
+const collectionExists = async (db, name) => {
+  const collections = await db.listCollections({ name }, { nameOnly: true }).toArray();
+  return collections.length > 0;
+};
+
+// Modèle pointant sur la collection de staging, vidée avant utilisation
+// sauf pour la reprise d'un import interrompu (`reset` à false)
+export const getStagingModel = async (model, reset = true) => {
+  const name = `${model.modelName}Staging`;
+  const collectionName = `${model.collection.collectionName}${STAGING_SUFFIX}`;
+  const staging =
+    model.db.models[name] || model.db.model(name, model.schema, collectionName);
+
+  if (reset && (await collectionExists(model.db.db, collectionName))) {
+    await model.db.db.dropCollection(collectionName);
+  }
+
+  return staging;
+};
+
+// Suppression de la collection de staging (import abandonné)
+export const dropStaging = async (model) => {
+  const collectionName = `${model.collection.collectionName}${STAGING_SUFFIX}`;
+  if (await collectionExists(model.db.db, collectionName)) {
+    await model.db.db.dropCollection(collectionName);
+  }
+};
+
+// Copie de la génération servie dans <collection>_previous, avec ses index
+// ($out remplace la collection cible d'un seul coup)
+const copyToPrevious = async (db, live) => {
+  const previous = `${live}${PREVIOUS_SUFFIX}`;
+
+  await db.collection(live).aggregate([{ $match: {} }, { $out: previous }], { allowDiskUse: true }).toArray();
+
+  const indexes = (await db.collection(live).indexes())
+    .filter((index) => index.name !== "_id_")
+    .map(({ v, ns, ...spec }) => spec);
+  if (indexes.length) {
+    await db.collection(previous).createIndexes(indexes);
+  }
+};
+
+// Bascule du staging sur la collection servie : la génération servie est d'abord copiée
+// dans la génération précédente, puis remplacée par le staging en un seul renommage
+// atomique (dropTarget) ; la collection servie existe donc à tout instant.
+export const swapStaging = async (model) => {
+  const db = model.db.db;
+  const live = model.collection.collectionName;
+
+  if (await collectionExists(db, live)) {
+    await copyToPrevious(db, live);
+  }
+  await db.renameCollection(`${live}${STAGING_SUFFIX}`, live, { dropTarget: true });
+};
+
+// Retour à la génération précédente (remplacement atomique de la collection servie)
+export const rollbackCollection = async (model) => {
+  const db = model.db.db;
+  const live = model.collection.collectionName;
+  const previous = `${live}${PREVIOUS_SUFFIX}`;
+
+  if (!(await collectionExists(db, previous))) {
+    throw new Error(`Aucune génération précédente pour ${live}`);
+  }
+  await db.renameCollection(previous, live, { dropTarget: true });
+};
@@ -0,0 +1,148 @@
+import { getStoreModel } from "../models/bases/index.js";
+import QualityReport, { MAX_RULE_IDS } from "../models/QualityReport.js";
+
+// Contrôle de la qualité des données d'un magasin après import : chaque règle
+// sélectionne les documents en anomalie d'une entité par un pipeline d'agrégation.
+//  - id       : identifiant stable de la règle
+//  - entity   : entité des documents signalés
+//  - uses     : entités lues par la règle (réévaluée quand l'une d'elles est importée)
+//  - severity : error (donnée fausse) ou warning (donnée suspecte)
+//  - pipeline : (collections) => étapes produisant les `_id` des documents en anomalie,
+//               `collections` donnant le nom de collection de chaque entité du magasin
+
+// Écart toléré entre le montant d'une facture et la somme de ses lignes (arrondis)
+export const AMOUNT_TOLERANCE = 1;
+
+export const QUALITY_RULES = [
+  {
+    id: "article-negative-stock",
+    entity: "article",
+    uses: ["article"],
+    label: "Article en stock négatif (STOCK < 0)",
+    severity: "warning",
+    pipeline: () => [{ $match: { STOCK: { $lt: 0 } } }],
+  },
+  {
+    id: "article-price-below-cost",
+    entity: "article",
+    uses: ["article"],
+    label: "Prix de vente inférieur au prix d'achat (PVTE < PACHAT)",
+    severity: "warning",
+    pipeline: () => [{ $match: { PACHAT: { $gt: 0 }, $expr: { $lt: ["$PVTE", "$PACHAT"] } } }],
+  },
+  {
+    id: "article-duplicate-gencod",
+    entity: "article",
+    uses: ["article"],
+    label: "Code barre (GENCOD) partagé par plusieurs articles",
+    severity: "error",
+    pipeline: () => [
+      { $match: { GENCOD: { $nin: [null, ""] } } },
+      { $group: { _id: "$GENCOD", ids: { $push: "$_id" }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $unwind: "$ids" },
+      { $project: { _id: "$ids" } },
+    ],
+  },
+  {
+    id: "facture-amount-mismatch",
+    entity: "facture",
+    uses: ["facture", "factureDetail"],
+    label: `Montant de facture (MONTANT) différent de la somme de ses lignes (QTE × PVTE remisé, ± ${AMOUNT_TOLERANCE})`,
+    severity: "error",
+    pipeline: (collections) => [
+      {
+        $lookup: {
+          from: collections.factureDetail,
+          localField: "NUMFACT",
+          foreignField: "NUMFACT",
+          pipeline: [
+            {
+              $group: {
+                _id: null,
+                total: {
+                  $sum: {
+                    $multiply: ["$QTE", "$PVTE", { $subtract: [1, { $divide: [{ $ifNull: ["$POURC", 0] }, 100] }] }],
+                  },
+                },
+              },
+            },
+          ],
+          as: "lines",
+        },
+      },
+      { $unwind: "$lines" },
+      { $match: { $expr: { $gt: [{ $abs: { $subtract: ["$MONTANT", "$lines.total"] } }, AMOUNT_TOLERANCE] } } },
+      { $project: { _id: 1 } },
+    ],
+  },
+  {
+    id: "client-debit-over-limit",
+    entity: "client",
+    uses: ["client"],
+    label: "Encours client supérieur au débit maximum autorisé (DEBIT > DEBIMAX)",
+    severity: "warning",
+    pipeline: () => [{ $match: { DEBIMAX: { $gt: 0 }, $expr: { $gt: ["$DEBIT", "$DEBIMAX"] } } }],
+  },
+];
+
+// Règles à réévaluer après l'import des entités `entities`
+export const rulesFor = (entities) =>
+  QUALITY_RULES.filter((rule) => rule.uses.some((entity) => entities.includes(entity)));
+
+// Évaluation d'une règle pour un magasin
+export const evaluateRule = async (storeCode, rule) => {
+  const collections = Object.fromEntries(
+    rule.uses.map((entity) => [entity, getStoreModel(storeCode, entity).collection.collectionName])
+  );
+  const result = {
+    rule: rule.id,
+    entity: rule.entity,
+    label: rule.label,
+    severity: rule.severity,
+    checkedAt: new Date(),
+  };
+
+  try {
+    const [{ count, ids }] = await getStoreModel(storeCode, rule.entity)
+      .aggregate([
+        ...rule.pipeline(collections),
+        {
+          $facet: {
+            count: [{ $count: "value" }],
+            ids: [{ $limit: MAX_RULE_IDS }, { $project: { _id: 1 } }],
+          },
+        },
+      ])
+      .allowDiskUse(true);
+
+    result.count = count.length ? count[0].value : 0;
+    result.ids = ids.map((doc) => doc._id);
+    result.truncated = result.count > result.ids.length;
+  } catch (err) {
+    result.error = err.message;
+  }
+
+  return result;
+};
+
+// Contrôle d'un magasin après l'import des entités `entities` : les règles concernées
+// remplacent leur résultat précédent dans le rapport du magasin.
+// Retourne les résultats des règles évaluées.
+export const checkStoreQuality = async (storeCode, entities, runId = null) => {
+  const results = [];
+  for (const rule of rulesFor(entities)) {
+    results.push(await evaluateRule(storeCode, rule));
+  }
+
+  const report = (await QualityReport.findOne({ store: storeCode })) || new QualityReport({ store: storeCode });
+  const evaluated = results.map((result) => result.rule);
+  report.rules = [
+    ...report.rules.filter((result) => !evaluated.includes(result.rule)),
+    ...results,
+  ];
+  if (runId) report.run = runId;
+  await report.save();
+
+  return results;
+};
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Contrôle des index MongoDB : index déclarés par les schémas (champs partagés des
+// entités DBF, clés naturelles, références, modèles de l'API) comparés aux index existants.
+// Les modèles des magasins n'ont pas d'index automatiques (autoIndex désactivé) :
+// ils sont créés par npm run db:indexes et après chaque import complet.
+
+// Modèles contrôlés : tous les modèles enregistrés, hors collections de staging de l'import
+export const indexedModels = () =>
+  mongoose
+    .modelNames()
+    .filter((name) => !name.endsWith("Staging"))
+    .map((name) => mongoose.model(name));
+
+// Nom lisible d'un index à partir de ses champs ({ TIERS: 1, DATFACT: -1 } → TIERS_1_DATFACT_-1)
+export const indexName = (fields) =>
+  Object.entries(fields)
+    .map(([field, direction]) => `${field}_${direction}`)
+    .join("_");
+
+// Rapport d'index d'un modèle :
+//  - missing : index déclarés absents de la collection
+//  - extra   : index de la collection qui ne sont plus déclarés
+//  - unused  : index jamais utilisés depuis le dernier démarrage de MongoDB ($indexStats)
+export const indexReport = async (model) => {
+  const { toCreate, toDrop } = await model.diffIndexes();
+
+  let unused = [];
+  try {
+    const stats = await model.collection.aggregate([{ $indexStats: {} }]).toArray();
+    unused = stats
+      .filter((stat) => stat.name !== "_id_" && Number(stat.accesses.ops) === 0)
+      .map((stat) => stat.name);
+  } catch (err) {
+    if (err.codeName !== "NamespaceNotFound") throw err;
+  }
+
+  return {
+    model: model.modelName,
+    collection: model.collection.collectionName,
+    missing: toCreate.map(indexName),
+    extra: toDrop,
+    unused,
+  };
+};
+
+// Rapports d'index de plusieurs modèles (un à la fois pour ne pas saturer MongoDB)
+export const checkIndexes = async (models = indexedModels()) => {
+  const reports = [];
+  for (const model of models) {
+    reports.push(await indexReport(model));
+  }
+  return reports;
+};
+
+// Création des index déclarés manquants d'un modèle (les index existants sont conservés).
+// Retourne les noms des index créés.
+export const ensureIndexes = async (model) => {
+  const { missing } = await indexReport(model);
+  if (missing.length) {
+    await model.createIndexes();
+  }
+  return missing;
+};
@@ -0,0 +1,103 @@
+import fs from "fs";
+import iconv from "iconv-lite";
+
+// Encodage des champs texte des fichiers DBF exportés par l'application de caisse
+// (DOS/Windows). Ordre de priorité :
+//   1. encodage configuré (--encoding, registre des magasins, DBF_ENCODING)
+//   2. octet "language driver" de l'en-tête DBF
+//   3. heuristique sur un échantillon des enregistrements
+//   4. DEFAULT_ENCODING
+
+export const DEFAULT_ENCODING = "cp850";
+
+// Octet 29 de l'en-tête DBF (language driver ID)
+const LANGUAGE_DRIVERS = {
+  0x01: "cp437",
+  0x02: "cp850",
+  0x03: "windows-1252",
+  0x57: "windows-1252",
+  0x64: "cp852",
+  0x65: "cp865",
+  0xc8: "windows-1250",
+};
+
+// Encodages candidats de l'heuristique, par ordre de préférence en cas d'égalité
+const CANDIDATES = ["cp850", "windows-1252", "cp437"];
+
+// Caractères attendus dans des noms et désignations en français
+const FRENCH_CHARS = /[àâäçéèêëîïôöùûüÿœæÀÂÄÇÉÈÊËÎÏÔÖÙÛÜŒÆ°]/g;
+
+// Taille de l'échantillon lu pour l'heuristique
+const SAMPLE_SIZE = 64 * 1024;
+
+// Score d'un encodage : +1 par caractère accentué français, -1 par autre caractère non ASCII
+const scoreEncoding = (sample, encoding) => {
+  const text = iconv.decode(sample, encoding);
+  const french = (text.match(FRENCH_CHARS) || []).length;
+  const nonAscii = (text.match(/[^\x00-\x7f]/g) || []).length;
+  return french - (nonAscii - french);
+};
+
+// Détection de l'encodage d'un fichier DBF à partir de son en-tête et de son contenu.
+// Retourne { encoding, source: "header" | "heuristic" | "default" }
+export const detectEncoding = async (filePath) => {
+  const file = await fs.promises.open(filePath, "r");
+
+  try {
+    const header = Buffer.alloc(32);
+    await file.read(header, 0, 32, 0);
+
+    const driver = LANGUAGE_DRIVERS[header[29]];
+    if (driver) {
+      return { encoding: driver, source: "header" };
+    }
+
+    const headerLength = header.readUInt16LE(8);
+    const sample = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await file.read(sample, 0, SAMPLE_SIZE, headerLength);
+    const data = sample.subarray(0, bytesRead);
+
+    // Échantillon purement ASCII : tous les encodages se valent
+    if (!data.some((byte) => byte >= 0x80)) {
+      return { encoding: DEFAULT_ENCODING, source: "default" };
+    }
+
+    let best = CANDIDATES[0];
+    let bestScore = -Infinity;
+    for (const encoding of CANDIDATES) {
+      const score = scoreEncoding(data, encoding);
+      if (score > bestScore) {
+        best = encoding;
+        bestScore = score;
+      }
+    }
+    return { encoding: best, source: "heuristic" };
+  } finally {
+    await file.close();
+  }
+};
+
+// Encodage configuré pour un fichier : chaîne, ou objet { default, <entité>: encodage }
+const configuredEncoding = (config, entity) => {
+  if (!config) return null;
+  if (typeof config === "string") return config;
+  return config[entity] || config.default || null;
+};
+
+// Encodage à utiliser pour le fichier DBF d'une entité d'un magasin.
+// `override` (--encoding) prime sur la configuration du magasin, puis sur DBF_ENCODING ;
+// la valeur "auto" déclenche la détection.
+// Retourne { encoding, source }
+export const resolveEncoding = async (filePath, store, entity, override = null) => {
+  const encoding =
+    override || configuredEncoding(store.encoding, entity) || process.env.DBF_ENCODING || "auto";
+
+  if (encoding !== "auto") {
+    if (!iconv.encodingExists(encoding)) {
+      throw new Error(`Encodage inconnu : ${encoding}`);
+    }
+    return { encoding, source: "config" };
+  }
+
+  return detectEncoding(filePath);
+};
@@ -0,0 +1,89 @@
+import fs from "fs";
+import { DBFFile } from "dbffile";
+
+// Export d'une collection d'un magasin au format DBF pour l'application de caisse.
+// Les descripteurs de champs (nom, type, taille, décimales) et l'encodage sont ceux
+// du dernier import réussi du fichier : l'aller-retour dbf → Mongo → dbf ne modifie
+// pas les enregistrements inchangés. Les colonnes inconnues du schéma n'étant pas
+// conservées à l'import, l'export est refusé tant que le fichier en comportait.
+
+// Types propres à Visual FoxPro (les autres sont écrits en dBase III)
+const VFP_TYPES = ["T", "B", "I", "Y"];
+
+// Colonnes du fichier importé absentes du schéma (dérive « unknown », voir utils/schemaDrift.js) :
+// non conservées en base, elles seraient exportées vides
+export const droppedFields = (imported) => imported.drift?.unknown || [];
+
+// Valeur d'un champ convertie dans le type attendu par dbffile (null : champ vide)
+const toDbfValue = (value, type) => {
+  if (value === null || value === undefined || value === "") return null;
+
+  switch (type) {
+    case "C":
+      return String(value);
+    case "N":
+    case "F":
+    case "I":
+    case "Y":
+    case "B": {
+      const number = Number(value);
+      return Number.isNaN(number) ? null : number;
+    }
+    case "D":
+    case "T": {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    case "L":
+      return Boolean(value);
+    default:
+      return value;
+  }
+};
+
+// Enregistrement DBF d'un document, limité aux champs du fichier d'origine
+const toDbfRecord = (doc, fields) => {
+  const record = {};
+  for (const { name, type } of fields) {
+    record[name] = toDbfValue(doc[name], type);
+  }
+  return record;
+};
+
+// Écriture des documents de `model` dans `filePath` (remplacé s'il existe), dans
+// l'ordre d'insertion. Retourne le nombre d'enregistrements écrits.
+export const exportToDbf = async (model, fields, filePath, { encoding, batchSize = 1000 } = {}) => {
+  if (fields.some(({ type }) => type === "M")) {
+    throw new Error("Export impossible : champs mémo non pris en charge");
+  }
+
+  const descriptors = fields.map(({ name, type, size, decimalPlaces }) => ({
+    name,
+    type,
+    size,
+    decimalPlaces: decimalPlaces || 0,
+  }));
+  const fileVersion = descriptors.some(({ type }) => VFP_TYPES.includes(type)) ? 0x30 : 0x03;
+
+  await fs.promises.rm(filePath, { force: true });
+  const dbf = await DBFFile.create(filePath, descriptors, { fileVersion, encoding });
+
+  let count = 0;
+  let batch = [];
+  for await (const doc of model.find().sort("_id").lean().cursor()) {
+    batch.push(toDbfRecord(doc, descriptors));
+    if (batch.length >= batchSize) {
+      await dbf.appendRecords(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await dbf.appendRecords(batch);
+    count += batch.length;
+  }
+
+  return count;
+};
+
+export default exportToDbf;
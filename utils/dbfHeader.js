@@ -0,0 +1,72 @@
+import fs from "fs";
+import crypto from "crypto";
+
+// Empreinte SHA-1 de l'en-tête d'un fichier DBF (version, date de mise à jour,
+// nombre d'enregistrements et descripteurs de champs)
+const dbfHeaderChecksum = async (filePath) => {
+  const file = await fs.promises.open(filePath, "r");
+
+  try {
+    const prefix = Buffer.alloc(32);
+    await file.read(prefix, 0, 32, 0);
+
+    // Octets 8-9 : longueur totale de l'en-tête
+    const headerLength = prefix.readUInt16LE(8);
+    const header = Buffer.alloc(headerLength);
+    await file.read(header, 0, headerLength, 0);
+
+    return crypto.createHash("sha1").update(header).digest("hex");
+  } finally {
+    await file.close();
+  }
+};
+
+// Versions DBF reconnues (octet 0 de l'en-tête : dBase, FoxPro, Visual FoxPro)
+const DBF_VERSIONS = [0x02, 0x03, 0x04, 0x05, 0x30, 0x31, 0x32, 0x43, 0x63, 0x83, 0x8b, 0x8e, 0xcb, 0xf5, 0xfb];
+
+// Lecture et contrôle de l'en-tête d'un fichier DBF (fichier déposé avant import).
+// Lève une erreur si le fichier n'est pas un DBF ou s'il est tronqué.
+// Retourne { version, updatedAt, recordCount, headerLength, recordLength }
+export const readDbfHeader = async (filePath) => {
+  const file = await fs.promises.open(filePath, "r");
+
+  try {
+    const { size } = await file.stat();
+    const prefix = Buffer.alloc(32);
+    const { bytesRead } = await file.read(prefix, 0, 32, 0);
+
+    if (bytesRead < 32 || !DBF_VERSIONS.includes(prefix[0])) {
+      throw new Error("en-tête DBF invalide");
+    }
+
+    const recordCount = prefix.readUInt32LE(4);
+    const headerLength = prefix.readUInt16LE(8);
+    const recordLength = prefix.readUInt16LE(10);
+    if (headerLength < 33 || recordLength < 1 || headerLength > size) {
+      throw new Error("en-tête DBF invalide");
+    }
+
+    // Les descripteurs de champs (32 octets chacun) se terminent par 0x0D
+    const descriptors = Buffer.alloc(headerLength - 32);
+    await file.read(descriptors, 0, descriptors.length, 32);
+    if (!descriptors.includes(0x0d)) {
+      throw new Error("descripteurs de champs DBF non terminés");
+    }
+
+    if (size < headerLength + recordCount * recordLength) {
+      throw new Error(`fichier DBF tronqué (${recordCount} enregistrements annoncés)`);
+    }
+
+    return {
+      version: prefix[0],
+      updatedAt: new Date(1900 + prefix[1], prefix[2] - 1, prefix[3]),
+      recordCount,
+      headerLength,
+      recordLength,
+    };
+  } finally {
+    await file.close();
+  }
+};
+
+export default dbfHeaderChecksum;
@@ -0,0 +1,91 @@
+import { LINKS } from "../config/stores.js";
+import { getStoreModel } from "../models/bases/index.js";
+
+// Résolution des liens entre entités d'un magasin (voir LINKS dans config/stores.js) :
+// les codes (NUMFACT, NART, TIERS...) sont remplacés par des références ObjectId,
+// les codes sans correspondance sont signalés comme orphelins.
+
+// Nombre maximal de codes orphelins conservés par lien (les plus fréquents)
+export const MAX_ORPHAN_CODES = 50;
+
+// Code de liaison normalisé ; null pour un code vide (0 ou chaîne vide : pas de lien attendu)
+const linkCode = (value) => {
+  if (value === null || value === undefined) return null;
+  const code = String(value).trim();
+  return code === "" || code === "0" ? null : code;
+};
+
+// Liens à recalculer lorsque les entités `entities` ont été rechargées :
+// ceux dont la source ou la cible a changé
+export const linksFor = (entities) =>
+  LINKS.filter((link) => entities.includes(link.entity) || entities.includes(link.target));
+
+// Résolution d'un lien pour un magasin.
+// Retourne { entity, field, target, linked, unlinked, orphanCount, orphans: [{ code, count }] }
+export const resolveLink = async (storeCode, link, batchSize = 1000) => {
+  const source = getStoreModel(storeCode, link.entity);
+  const target = getStoreModel(storeCode, link.target);
+
+  // Code → _id des documents cibles (premier document pour un code en double)
+  const ids = new Map();
+  for await (const doc of target.find({}, { [link.to]: 1 }).lean().cursor()) {
+    const code = linkCode(doc[link.to]);
+    if (code !== null && !ids.has(code)) ids.set(code, doc._id);
+  }
+
+  const result = { entity: link.entity, field: link.field, target: link.target, linked: 0, unlinked: 0 };
+  const orphans = new Map();
+  let operations = [];
+
+  const flush = async () => {
+    if (!operations.length) return;
+    await source.bulkWrite(operations, { ordered: false, timestamps: false });
+    operations = [];
+  };
+
+  for await (const doc of source.find({}, { [link.from]: 1, [link.field]: 1 }).lean().cursor()) {
+    const code = linkCode(doc[link.from]);
+    const id = code === null ? null : ids.get(code) || null;
+
+    if (id) {
+      result.linked++;
+    } else if (code !== null) {
+      result.unlinked++;
+      orphans.set(code, (orphans.get(code) || 0) + 1);
+    }
+
+    // Écriture uniquement si la référence change
+    if (String(doc[link.field] ?? null) !== String(id)) {
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: id ? { $set: { [link.field]: id } } : { $unset: { [link.field]: 1 } },
+        },
+      });
+      if (operations.length >= batchSize) await flush();
+    }
+  }
+  await flush();
+
+  result.orphanCount = orphans.size;
+  result.orphans = [...orphans]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_ORPHAN_CODES)
+    .map(([code, count]) => ({ code, count }));
+
+  return result;
+};
+
+// Résolution des liens d'un magasin après l'import des entités `entities`.
+// Retourne le rapport de chaque lien recalculé (avec `error` si sa résolution a échoué).
+export const linkStore = async (storeCode, entities, batchSize = 1000) => {
+  const report = [];
+  for (const link of linksFor(entities)) {
+    try {
+      report.push(await resolveLink(storeCode, link, batchSize));
+    } catch (err) {
+      report.push({ entity: link.entity, field: link.field, target: link.target, error: err.message });
+    }
+  }
+  return report;
+};
@@ -0,0 +1,105 @@
+// Normalisation des champs DBF dont le type ne reflète pas le sens (indicateurs O/N
+// stockés en texte, dates et montants en chaîne, codes client numériques en texte...).
+// La valeur brute reste dans le champ DBF (export DBF, détection des écarts de schéma,
+// import incrémental) ; la valeur convertie est enregistrée dans `normalized.<CHAMP>`.
+// Les champs concernés sont déclarés avec les champs de chaque entité
+// (models/bases/schemas, exports `<entité>Normalized`).
+//
+// Conversions :
+//  - boolean : O, OUI, Y, YES, T, V, X, 1 → true ; N, NON, F, 0 et vide → false ; autre → null
+//  - number  : "1 234,50", "1.234,50", "1,234.50", "1234.50", "0012" → nombre ; vide ou non numérique → null
+//  - date    : JJ/MM/AAAA, JJ/MM/AA, AAAAMMJJ, AAAA-MM-JJ (ou Date) → date UTC ; vide ou invalide → null
+
+const TRUE_VALUES = ["O", "OUI", "Y", "YES", "T", "V", "X", "1"];
+const FALSE_VALUES = ["", "N", "NON", "F", "0"];
+
+const toBoolean = (value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "boolean") return value;
+  const text = String(value).trim().toUpperCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+};
+
+// Texte numérique au format JavaScript : le dernier séparateur ("," ou ".") est décimal,
+// sauf s'il est répété ("1.234.567") ; les autres séparent les milliers par groupes de trois
+// chiffres ("1.234,50", "1,234.50"). Retourne null si les milliers sont mal groupés.
+const numberText = (text) => {
+  const position = Math.max(text.lastIndexOf(","), text.lastIndexOf("."));
+  if (position === -1) return text;
+
+  const separator = text[position];
+  let integer = text.slice(0, position);
+  let decimals = text.slice(position + 1);
+  if (integer.includes(separator)) {
+    integer = text;
+    decimals = null;
+  }
+
+  const thousands = integer.match(/[.,]/)?.[0];
+  if (thousands) {
+    if (!new RegExp(`^[-+]?\\d{1,3}(\\${thousands}\\d{3})+$`).test(integer)) return null;
+    integer = integer.split(thousands).join("");
+  }
+  return decimals === null ? integer : `${integer}.${decimals}`;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return Number.isNaN(value) ? null : value;
+  const text = numberText(String(value).replace(/\s/g, ""));
+  if (!text || !/^[-+]?\d*\.?\d+$/.test(text)) return null;
+  return Number(text);
+};
+
+// Année sur deux chiffres : 00-69 → 2000-2069, 70-99 → 1970-1999
+const fullYear = (year) => (year.length === 2 ? (Number(year) < 70 ? 2000 : 1900) + Number(year) : Number(year));
+
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Rejet des dates impossibles (31/02...)
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+const toDate = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) return utcDate(fullYear(match[3]), Number(match[2]), Number(match[1]));
+
+  match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (match) return utcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  return null;
+};
+
+// Conversions disponibles : type Mongoose de la valeur normalisée et fonction de conversion
+export const CONVERTERS = {
+  boolean: { type: Boolean, convert: toBoolean },
+  number: { type: Number, convert: toNumber },
+  date: { type: Date, convert: toDate },
+};
+
+// Définition Mongoose du champ `normalized` d'une entité ({ CHAMP: conversion }), ou null
+export const normalizedSchema = (fields) => {
+  const entries = Object.entries(fields || {});
+  if (!entries.length) return null;
+  return Object.fromEntries(entries.map(([field, kind]) => [field, { type: CONVERTERS[kind].type }]));
+};
+
+// Enregistrement complété de ses valeurs normalisées (l'enregistrement d'origine n'est pas modifié)
+export const normalizeRecord = (record, fields) => {
+  const entries = Object.entries(fields || {});
+  if (!entries.length) return record;
+
+  const normalized = {};
+  for (const [field, kind] of entries) {
+    if (field in record) {
+      normalized[field] = CONVERTERS[kind].convert(record[field]);
+    }
+  }
+  return { ...record, normalized };
+};
@@ -0,0 +1,76 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Verrou des imports DBF : un seul import (manuel ou planifié) à la fois.
+// Le verrou est un fichier contenant le pid du processus détenteur ; un verrou
+// laissé par un processus disparu (même machine) est considéré comme périmé.
+
+// Chemin du fichier de verrou (DBF_LOCK_FILE dans config/config.env)
+export const lockFilePath = () => path.resolve(process.env.DBF_LOCK_FILE || ".dbf-import.lock");
+
+// Le processus existe-t-il encore ?
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+};
+
+// Détenteur actuel du verrou { pid, host, startedAt, command }, ou null si libre
+export const readImportLock = () => {
+  let holder;
+  try {
+    holder = JSON.parse(fs.readFileSync(lockFilePath(), "utf8"));
+  } catch (err) {
+    return null;
+  }
+
+  if (holder.host === os.hostname() && !isAlive(holder.pid)) {
+    return null;
+  }
+  return holder;
+};
+
+// Prise du verrou par le processus courant, libéré automatiquement à sa sortie.
+// Lève une erreur si un autre import est en cours.
+export const acquireImportLock = (command = process.argv.slice(2).join(" ")) => {
+  const file = lockFilePath();
+  const holder = { pid: process.pid, host: os.hostname(), startedAt: new Date(), command };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(holder), { flag: "wx" });
+      process.on("exit", releaseImportLock);
+      return holder;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+
+      const current = readImportLock();
+      if (current) {
+        throw new Error(
+          `Un import est déjà en cours (pid ${current.pid} sur ${current.host}, depuis le ${new Date(current.startedAt).toLocaleString("fr-FR")})`
+        );
+      }
+      // Verrou périmé : suppression puis nouvelle tentative
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  throw new Error(`Verrou d'import impossible à prendre : ${file}`);
+};
+
+// Libération du verrou s'il appartient au processus courant
+export const releaseImportLock = () => {
+  const file = lockFilePath();
+  try {
+    const holder = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (holder.pid === process.pid && holder.host === os.hostname()) {
+      fs.rmSync(file, { force: true });
+    }
+  } catch (err) {
+    // Verrou déjà libéré
+  }
+};
@@ -0,0 +1,187 @@
+import path from "path";
+import { parseArgs } from "util";
+import iconv from "iconv-lite";
+import { STORE_CODES, ENTITY_NAMES, getStore } from "../config/stores.js";
+import { DRIFT_POLICIES } from "./schemaDrift.js";
+
+export const DEFAULT_SOURCE = "./_dbf";
+
+// Taille de lot par défaut (DBF_BATCH_SIZE dans config/config.env)
+const defaultBatchSize = () => parseInt(process.env.DBF_BATCH_SIZE, 10) || 1000;
+
+// Nombre de magasins importés simultanément par défaut (DBF_CONCURRENCY dans config/config.env)
+const defaultConcurrency = () => parseInt(process.env.DBF_CONCURRENCY, 10) || 2;
+
+export const USAGE = `Usage : npm run dbf:import -- [options]
+  --store <codes>       Magasins à traiter, séparés par des virgules (défaut : tous)
+  --entity <noms>       Entités à traiter : ${ENTITY_NAMES.join(", ")} (défaut : toutes)
+  --source <dossier>    Dossier contenant les sous-dossiers DBF des magasins (défaut : ${DEFAULT_SOURCE})
+  --incremental         Mise à jour par clé naturelle au lieu d'un rechargement complet
+  --since <AAAA-MM-JJ>  Ne traite que les factures (et leurs lignes) datées de ce jour ou après
+  --batch-size <n>      Nombre d'enregistrements par lot (défaut : DBF_BATCH_SIZE ou 1000)
+  --concurrency <n>     Nombre de magasins importés simultanément (défaut : DBF_CONCURRENCY ou 2)
+  --drift <politique>   Dérive de schéma DBF : warn (rapport seul), types (échec si colonne
+                        manquante ou type incompatible), strict (échec à la moindre dérive)
+                        (défaut : DBF_DRIFT_POLICY ou warn)
+  --encoding <nom>      Encodage des champs texte (cp850, cp437, windows-1252...) ou auto
+                        (défaut : configuration du magasin, DBF_ENCODING ou auto)
+  --resume              Reprend le dernier import inachevé là où il s'était arrêté
+                        (magasins, entités et mode de l'import repris)
+  --run <id>            Exécute un import demandé via l'API (ses options remplacent les autres)
+  --dry-run             Lecture et validation uniquement, aucune écriture
+  --help                Affiche cette aide`;
+
+// Découpage d'une liste "A,B , C" en tableau
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Validation et normalisation des options d'import (ligne de commande ou API).
+// Lève une erreur décrivant la première option invalide.
+export const normalizeImportOptions = ({
+  stores,
+  entities,
+  source,
+  since,
+  batchSize,
+  concurrency,
+  drift,
+  encoding,
+  incremental = false,
+  resume = false,
+  run = null,
+  dryRun = false,
+} = {}) => {
+  const options = {
+    stores: STORE_CODES,
+    entities: ENTITY_NAMES,
+    source: path.resolve(source || DEFAULT_SOURCE),
+    since: null,
+    batchSize: defaultBatchSize(),
+    concurrency: defaultConcurrency(),
+    drift: process.env.DBF_DRIFT_POLICY || "warn",
+    encoding: null,
+    incremental: Boolean(incremental),
+    resume: Boolean(resume),
+    run: run || null,
+    dryRun: Boolean(dryRun),
+  };
+
+  if (options.resume && options.dryRun) {
+    throw new Error("--resume et --dry-run sont incompatibles");
+  }
+
+  if (options.run) {
+    if (!/^[0-9a-f]{24}$/i.test(options.run)) {
+      throw new Error(`Identifiant d'import invalide : ${options.run}`);
+    }
+    if (options.resume || options.dryRun) {
+      throw new Error("--run est incompatible avec --resume et --dry-run");
+    }
+  }
+
+  // Liste vide ([], "," ...) refusée : elle n'importerait rien
+  if (stores !== undefined && stores !== null) {
+    const codes = splitList(stores);
+    if (!codes.length) {
+      throw new Error("Liste de magasins vide");
+    }
+    const unknown = codes.filter((code) => !getStore(code));
+    if (unknown.length) {
+      throw new Error(`Magasin(s) inconnu(s) : ${unknown.join(", ")}`);
+    }
+    options.stores = codes.map((code) => getStore(code).code);
+  }
+
+  if (entities !== undefined && entities !== null) {
+    const names = splitList(entities);
+    if (!names.length) {
+      throw new Error("Liste d'entités vide");
+    }
+    const unknown = names.filter((name) => !ENTITY_NAMES.includes(name));
+    if (unknown.length) {
+      throw new Error(`Entité(s) inconnue(s) : ${unknown.join(", ")}`);
+    }
+    // Conserve l'ordre d'importation du registre
+    options.entities = ENTITY_NAMES.filter((name) => names.includes(name));
+  }
+
+  if (since) {
+    options.since = new Date(since);
+    if (Number.isNaN(options.since.getTime())) {
+      throw new Error(`Date invalide pour --since : ${since}`);
+    }
+  }
+
+  if (batchSize !== undefined) {
+    options.batchSize = parseInt(batchSize, 10);
+    if (!(options.batchSize > 0)) {
+      throw new Error(`Taille de lot invalide : ${batchSize}`);
+    }
+  }
+
+  if (concurrency !== undefined) {
+    options.concurrency = parseInt(concurrency, 10);
+    if (!(options.concurrency > 0)) {
+      throw new Error(`Nombre de magasins simultanés invalide : ${concurrency}`);
+    }
+  }
+
+  if (drift) {
+    options.drift = drift;
+  }
+  if (!DRIFT_POLICIES.includes(options.drift)) {
+    throw new Error(`Politique de dérive invalide : ${options.drift} (${DRIFT_POLICIES.join(", ")})`);
+  }
+
+  if (encoding) {
+    if (encoding !== "auto" && !iconv.encodingExists(encoding)) {
+      throw new Error(`Encodage inconnu : ${encoding}`);
+    }
+    options.encoding = encoding;
+  }
+
+  return options;
+};
+
+// Lecture des options de la ligne de commande
+export const parseImportArgs = (argv = process.argv.slice(2)) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      store: { type: "string" },
+      entity: { type: "string" },
+      source: { type: "string" },
+      since: { type: "string" },
+      "batch-size": { type: "string" },
+      concurrency: { type: "string" },
+      drift: { type: "string" },
+      encoding: { type: "string" },
+      incremental: { type: "boolean" },
+      resume: { type: "boolean" },
+      run: { type: "string" },
+      "dry-run": { type: "boolean" },
+      help: { type: "boolean" },
+    },
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  return normalizeImportOptions({
+    stores: values.store,
+    entities: values.entity,
+    source: values.source,
+    since: values.since,
+    batchSize: values["batch-size"],
+    concurrency: values.concurrency,
+    drift: values.drift,
+    encoding: values.encoding,
+    incremental: values.incremental,
+    resume: values.resume,
+    run: values.run,
+    dryRun: values["dry-run"],
+  });
+};
@@ -0,0 +1,80 @@
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import ImportRun from "../models/ImportRun.js";
+import { readImportLock } from "./importLock.js";
+
+// Exécution des imports hors ligne de commande (planificateur, API) : toujours par
+// scripts/dbfToMongo.js, dans un processus fils, pour partager le même code et le même verrou.
+
+const ROOT_DIR = fileURLToPath(new URL("..", import.meta.url));
+const IMPORT_SCRIPT = fileURLToPath(new URL("../scripts/dbfToMongo.js", import.meta.url));
+
+// Délai avant une nouvelle tentative lorsqu'un autre import détient le verrou
+export const LOCK_RETRY_DELAY = 60 * 1000;
+
+// Lancement de scripts/dbfToMongo.js avec les arguments donnés, résolu avec son code de sortie
+export const spawnImport = (args) =>
+  new Promise((resolve) => {
+    const child = spawn(process.execPath, [IMPORT_SCRIPT, ...args], { cwd: ROOT_DIR, stdio: "inherit" });
+    child.on("error", () => resolve(1));
+    child.on("exit", (code) => resolve(code));
+  });
+
+// File d'attente des imports demandés via l'API (statut "queued"), exécutés un par un
+const queue = [];
+let active = null;
+let retryTimer = null;
+
+const drainQueue = async () => {
+  if (active || retryTimer || !queue.length) return;
+
+  if (readImportLock()) {
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      drainQueue();
+    }, LOCK_RETRY_DELAY);
+    return;
+  }
+
+  const runId = queue.shift();
+  active = spawnImport(["--run", runId]);
+  const code = await active;
+  active = null;
+
+  // Import jamais démarré (verrou pris entre-temps, erreur de configuration...)
+  await ImportRun.updateOne(
+    { _id: runId, status: "queued" },
+    { status: "failed", error: `Import non démarré (code de sortie ${code})`, finishedAt: new Date() }
+  ).catch(() => {});
+
+  drainQueue();
+};
+
+// Ajout d'un import enregistré en statut "queued" à la file d'attente
+export const enqueueImportRun = (runId) => {
+  queue.push(String(runId));
+  drainQueue();
+};
+
+// Enregistrement d'un import demandé via l'API (options déjà validées par
+// normalizeImportOptions) et ajout à la file d'attente
+export const queueImport = async (options, requestedBy) => {
+  const run = await ImportRun.create({
+    mode: options.incremental ? "incremental" : "full",
+    status: "queued",
+    stores: options.stores,
+    entities: options.entities,
+    source: options.source,
+    drift: options.drift,
+    requestedBy,
+  });
+  enqueueImportRun(run._id);
+  return run;
+};
+
+// Remise en file des imports en attente au démarrage du serveur
+export const requeueImportRuns = async () => {
+  const runs = await ImportRun.find({ status: "queued" }).sort("createdAt").select("_id");
+  runs.forEach((run) => enqueueImportRun(run._id));
+  return runs.length;
+};
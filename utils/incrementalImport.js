@@ -0,0 +1,127 @@
+// Import incrémental : mise à jour des collections par clé naturelle
+// (voir `keys` dans config/stores.js) au lieu d'un rechargement complet.
+
+// Clé naturelle d'un enregistrement sous forme de chaîne
+export const naturalKey = (doc, keys) => keys.map((key) => String(doc[key] ?? "")).join("|");
+
+// Comparaison de deux valeurs de champ (les dates sont comparées par horodatage,
+// les objets tels que `normalized` champ par champ)
+const sameValue = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (typeof a === "object" && typeof b === "object") {
+    return Object.keys({ ...a, ...b }).every((key) => sameValue(a[key], b[key]));
+  }
+  return a === b;
+};
+
+// Un document existant est inchangé si tous les champs importés sont identiques
+const isUnchanged = (casted, existing) =>
+  Object.keys(casted).every((field) => sameValue(casted[field], existing[field]));
+
+// Filtre MongoDB retrouvant les documents existants d'un lot
+const batchFilter = (keys, docs) => {
+  if (keys.length === 1) {
+    return { [keys[0]]: { $in: docs.map((doc) => doc[keys[0]]) } };
+  }
+  return { $or: docs.map((doc) => Object.fromEntries(keys.map((key) => [key, doc[key]]))) };
+};
+
+// Mise à jour d'un lot d'enregistrements par clé naturelle.
+// Les enregistrements invalides (validation du schéma) sont renvoyés en erreur, comme
+// avec insertBatch, et ne sont pas écrits (bulkWrite n'exécute pas les validateurs).
+// `seenKeys` reçoit les clés rencontrées, pour la détection des suppressions.
+// Retourne { inserted, updated, unchanged, errors: [{ index, message }] }
+export const upsertBatch = async (model, keys, records, seenKeys) => {
+  const stats = { inserted: 0, updated: 0, unchanged: 0, errors: [] };
+  const docs = [];
+
+  records.forEach((record, index) => {
+    try {
+      // Mêmes validateurs que l'import complet (insertMany) : required, maxlength...
+      const invalid = new model(record).validateSync();
+      if (invalid) throw invalid;
+
+      const casted = model.castObject(record);
+      const key = naturalKey(casted, keys);
+      seenKeys.add(key);
+      docs.push({ index, key, casted });
+    } catch (err) {
+      stats.errors.push({ index, message: err.message });
+    }
+  });
+
+  if (!docs.length) return stats;
+
+  const existing = new Map();
+  const found = await model.find(batchFilter(keys, docs.map((doc) => doc.casted))).lean();
+  for (const doc of found) {
+    existing.set(naturalKey(doc, keys), doc);
+  }
+
+  const operations = [];
+  const operationIndexes = [];
+  for (const { index, key, casted } of docs) {
+    const current = existing.get(key);
+
+    if (current && isUnchanged(casted, current)) {
+      stats.unchanged++;
+      continue;
+    }
+
+    current ? stats.updated++ : stats.inserted++;
+    operations.push({
+      updateOne: {
+        filter: Object.fromEntries(keys.map((field) => [field, casted[field]])),
+        update: { $set: casted },
+        upsert: true,
+      },
+    });
+    operationIndexes.push({ index, isNew: !current });
+    existing.set(key, casted); // doublon éventuel dans le même fichier
+  }
+
+  if (!operations.length) return stats;
+
+  try {
+    await model.bulkWrite(operations, { ordered: false });
+  } catch (err) {
+    if (!err.writeErrors) throw err;
+
+    for (const writeError of err.writeErrors) {
+      const { index, isNew } = operationIndexes[writeError.index];
+      isNew ? stats.inserted-- : stats.updated--;
+      stats.errors.push({ index, message: writeError.errmsg || writeError.message });
+    }
+  }
+
+  return stats;
+};
+
+// Suppression des documents dont la clé naturelle n'apparaît plus dans le fichier DBF,
+// limitée aux documents correspondant à `filter`.
+// Retourne le nombre de documents supprimés.
+export const removeMissing = async (model, keys, seenKeys, batchSize = 1000, filter = {}) => {
+  let removed = 0;
+  let pending = [];
+
+  const flush = async () => {
+    if (!pending.length) return;
+    const { deletedCount } = await model.deleteMany({ _id: { $in: pending } });
+    removed += deletedCount;
+    pending = [];
+  };
+
+  const cursor = model.find(filter, keys.join(" ")).lean().cursor();
+  for await (const doc of cursor) {
+    if (!seenKeys.has(naturalKey(doc, keys))) {
+      pending.push(doc._id);
+      if (pending.length >= batchSize) await flush();
+    }
+  }
+  await flush();
+
+  return removed;
+};
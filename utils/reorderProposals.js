@@ -0,0 +1,141 @@
+import { getStoreModel } from "../models/bases/index.js";
+import { availableStock, monthlySales } from "./stockTransfers.js";
+
+// Propositions de réapprovisionnement d'un magasin, regroupées en bon de commande par fournisseur
+//  - stock projeté       : STOCK - RESERV + ENCDE
+//  - besoin pendant le délai fournisseur : ventes mensuelles moyennes (V1–V12) × DELAPRO / 30
+//  - point de commande   : max(SMINI × COEFSMINI, STSECUR + besoin pendant le délai)
+//  - quantité            : point de commande - stock projeté, arrondie au conditionnement (CONDITNM)
+// Un bon sous le franco du fournisseur (FRANCO, en montant d'achat) est complété par colis
+// entiers, en priorité sur les articles les plus vendus, sans dépasser MAX_FRANCO_COVER mois
+// de ventes au-delà du point de commande ; s'il reste sous le franco, l'écart est indiqué.
+
+// Jours par mois pour convertir le délai d'approvisionnement (DELAPRO, en jours)
+const DAYS_PER_MONTH = 30;
+
+// Couverture maximale (en mois de ventes) ajoutée pour atteindre le franco
+export const MAX_FRANCO_COVER = 3;
+
+const ARTICLE_FIELDS = [
+  "NART",
+  "DESIGN",
+  "REFER",
+  "FOURN",
+  "STOCK",
+  "RESERV",
+  "ENCDE",
+  "SMINI",
+  "STSECUR",
+  "CONDITNM",
+  "PACHAT",
+  ...Array.from({ length: 12 }, (_, i) => `V${i + 1}`),
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Quantité arrondie au conditionnement supérieur
+const packQuantity = (quantity, pack) => (pack > 0 ? Math.ceil(quantity / pack) * pack : Math.ceil(quantity));
+
+// Ligne de commande d'un article, ou null s'il n'est pas à commander
+export const proposalLine = (article, supplier = {}) => {
+  const projected = availableStock(article) + (article.ENCDE || 0);
+  const sales = monthlySales(article);
+  const leadTimeDemand = (sales * (supplier.DELAPRO || 0)) / DAYS_PER_MONTH;
+  const reorderPoint = Math.max((article.SMINI || 0) * (supplier.COEFSMINI || 1), (article.STSECUR || 0) + leadTimeDemand);
+
+  if (projected >= reorderPoint) return null;
+
+  const quantity = packQuantity(reorderPoint - projected, article.CONDITNM);
+  return {
+    NART: article.NART,
+    DESIGN: article.DESIGN,
+    REFER: article.REFER,
+    available: availableStock(article),
+    ENCDE: article.ENCDE || 0,
+    SMINI: article.SMINI || 0,
+    STSECUR: article.STSECUR || 0,
+    monthlySales: round(sales),
+    reorderPoint: round(reorderPoint),
+    CONDITNM: article.CONDITNM || 0,
+    quantity,
+    PACHAT: article.PACHAT || 0,
+    amount: round(quantity * (article.PACHAT || 0)),
+  };
+};
+
+// Complément d'un bon pour atteindre le franco : un colis à la fois sur l'article le plus
+// vendu qui peut encore en recevoir. Modifie les lignes, retourne le montant du bon
+export const fillToFranco = (lines, franco) => {
+  let total = lines.reduce((sum, line) => sum + line.amount, 0);
+  const candidates = lines
+    .filter((line) => line.PACHAT > 0 && line.monthlySales > 0)
+    .sort((a, b) => b.monthlySales - a.monthlySales);
+
+  let added = true;
+  while (total < franco && added) {
+    added = false;
+    for (const line of candidates) {
+      if (total >= franco) break;
+      const pack = line.CONDITNM > 0 ? line.CONDITNM : 1;
+      const stockAfter = line.available + line.ENCDE + line.quantity + pack;
+      if (stockAfter > line.reorderPoint + line.monthlySales * MAX_FRANCO_COVER) continue;
+
+      line.quantity += pack;
+      line.amount = round(line.quantity * line.PACHAT);
+      total += pack * line.PACHAT;
+      added = true;
+    }
+  }
+
+  return round(total);
+};
+
+// Bons de commande proposés pour un magasin (tous ses fournisseurs, ou `fourn` seul),
+// du plus gros au plus petit montant
+export const reorderProposals = async (storeCode, fourn = null) => {
+  const supplierFilter = fourn === null ? {} : { FOURN: fourn };
+  const suppliers = await getStoreModel(storeCode, "fournisseur")
+    .find(supplierFilter)
+    .select("FOURN NOM DELAPRO COEFSMINI FRANCO")
+    .lean();
+  const supplierByCode = new Map(suppliers.map((supplier) => [supplier.FOURN, supplier]));
+
+  // Articles gérés en stock : stock minimum ou stock de sécurité renseigné
+  const cursor = getStoreModel(storeCode, "article")
+    .find({ ...supplierFilter, $or: [{ SMINI: { $gt: 0 } }, { STSECUR: { $gt: 0 } }] })
+    .select(ARTICLE_FIELDS.join(" "))
+    .lean()
+    .cursor();
+
+  const orders = new Map();
+  for await (const article of cursor) {
+    const supplier = supplierByCode.get(article.FOURN) || {};
+    const line = proposalLine(article, supplier);
+    if (!line) continue;
+
+    if (!orders.has(article.FOURN)) {
+      orders.set(article.FOURN, {
+        FOURN: article.FOURN,
+        NOM: supplier.NOM || null,
+        DELAPRO: supplier.DELAPRO || 0,
+        COEFSMINI: supplier.COEFSMINI || 1,
+        FRANCO: supplier.FRANCO || 0,
+        lines: [],
+      });
+    }
+    orders.get(article.FOURN).lines.push(line);
+  }
+
+  return [...orders.values()]
+    .map((order) => {
+      const total = fillToFranco(order.lines, order.FRANCO);
+      return {
+        ...order,
+        total,
+        francoReached: total >= order.FRANCO,
+        shortfall: round(Math.max(order.FRANCO - total, 0)),
+        lines: order.lines.sort((a, b) => b.amount - a.amount),
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
@@ -0,0 +1,113 @@
+// Détection des écarts entre les descripteurs de champs d'un fichier DBF et le
+// schéma Mongoose de l'entité (et, si disponible, le fichier du dernier import).
+
+// Type Mongoose attendu pour chaque type de champ DBF
+const DBF_TYPES = {
+  C: "String",
+  M: "String",
+  N: "Number",
+  F: "Number",
+  Y: "Number",
+  B: "Number",
+  I: "Number",
+  D: "Date",
+  T: "Date",
+  L: "Boolean",
+};
+
+// Politiques de dérive :
+//  - warn   : rapport seulement
+//  - types  : échec si colonne manquante ou type incompatible
+//  - strict : échec à la moindre dérive
+export const DRIFT_POLICIES = ["warn", "types", "strict"];
+
+// Champs du schéma issus du fichier DBF (hors champs techniques et références
+// vers les entités liées)
+const schemaFields = (schema) =>
+  Object.keys(schema.paths).filter(
+    (name) =>
+      !["_id", "__v", "createdAt", "updatedAt"].includes(name) &&
+      !name.includes(".") &&
+      schema.path(name).instance !== "ObjectId"
+  );
+
+// Rapport de dérive d'un fichier DBF
+//  - unknown  : colonnes DBF absentes du schéma (ignorées à l'import)
+//  - missing  : champs du schéma absents du fichier DBF
+//  - types    : types DBF incompatibles avec le schéma
+//  - sizes    : colonnes plus longues que le `maxlength` du schéma
+//  - changed  : taille ou décimales modifiées depuis le dernier import
+export const detectDrift = (schema, fields, previousFields = null) => {
+  const report = { unknown: [], missing: [], types: [], sizes: [], changed: [] };
+  const expected = schemaFields(schema);
+  const names = fields.map((field) => field.name);
+
+  for (const field of fields) {
+    const schemaType = schema.path(field.name);
+
+    if (!schemaType) {
+      report.unknown.push(field.name);
+      continue;
+    }
+
+    if (DBF_TYPES[field.type] !== schemaType.instance) {
+      report.types.push({ field: field.name, dbfType: field.type, schemaType: schemaType.instance });
+    }
+
+    const maxlength = schemaType.options && schemaType.options.maxlength;
+    if (maxlength && field.size > maxlength) {
+      report.sizes.push({ field: field.name, size: field.size, maxlength });
+    }
+  }
+
+  report.missing = expected.filter((name) => !names.includes(name));
+
+  if (previousFields) {
+    for (const field of fields) {
+      const previous = previousFields.find((item) => item.name === field.name);
+      if (
+        previous &&
+        (previous.type !== field.type ||
+          previous.size !== field.size ||
+          (previous.decimalPlaces || 0) !== (field.decimalPlaces || 0))
+      ) {
+        report.changed.push({
+          field: field.name,
+          from: { type: previous.type, size: previous.size, decimalPlaces: previous.decimalPlaces || 0 },
+          to: { type: field.type, size: field.size, decimalPlaces: field.decimalPlaces || 0 },
+        });
+      }
+    }
+  }
+
+  return report;
+};
+
+// Le rapport contient-il au moins un écart ?
+export const hasDrift = (report) => Object.values(report).some((items) => items.length > 0);
+
+// Le rapport dépasse-t-il la politique donnée ?
+export const driftExceedsPolicy = (report, policy) => {
+  if (policy === "strict") return hasDrift(report);
+  if (policy === "types") return report.missing.length > 0 || report.types.length > 0;
+  return false;
+};
+
+// Résumé lisible d'un rapport de dérive
+export const formatDrift = (report) => {
+  const lines = [];
+  if (report.unknown.length) lines.push(`colonnes inconnues : ${report.unknown.join(", ")}`);
+  if (report.missing.length) lines.push(`colonnes manquantes : ${report.missing.join(", ")}`);
+  for (const { field, dbfType, schemaType } of report.types) {
+    lines.push(`type incompatible pour ${field} : DBF ${dbfType}, schéma ${schemaType}`);
+  }
+  for (const { field, size, maxlength } of report.sizes) {
+    lines.push(`taille de ${field} : DBF ${size}, schéma ${maxlength} max`);
+  }
+  for (const { field, from, to } of report.changed) {
+    lines.push(
+      `${field} modifié depuis le dernier import : ${from.type}(${from.size},${from.decimalPlaces}) → ${to.type}(${to.size},${to.decimalPlaces})`
+    );
+  }
+  return lines;
+};
@@ -0,0 +1,149 @@
+import { STORES } from "../config/stores.js";
+import { getStoreModel } from "../models/bases/index.js";
+
+// Disponibilité d'un article entre magasins et propositions de transfert
+//  - disponible : STOCK - RESERV
+//  - besoin du magasin demandeur : SMINI - (disponible + ENCDE), l'en-commande couvrant déjà une partie
+//  - excédent d'un magasin source : disponible - STSECUR - ventes mensuelles moyennes (V1–V12),
+//    le magasin source gardant son stock de sécurité et un mois de ventes
+// Les sources sont classées par excédent décroissant et servies dans cet ordre jusqu'à couvrir le besoin.
+
+// Nombre maximal d'articles par demande de propositions
+export const MAX_TRANSFER_ARTICLES = 500;
+
+const SALES_FIELDS = Array.from({ length: 12 }, (_, i) => `V${i + 1}`);
+
+// Stock disponible d'un article
+export const availableStock = (article) => (article.STOCK || 0) - (article.RESERV || 0);
+
+// Ventes mensuelles moyennes sur les douze derniers mois
+export const monthlySales = (article) =>
+  SALES_FIELDS.reduce((total, field) => total + (article[field] || 0), 0) / SALES_FIELDS.length;
+
+// Quantité cédable par un magasin source
+export const surplusStock = (article) =>
+  Math.floor(availableStock(article) - (article.STSECUR || 0) - Math.ceil(monthlySales(article)));
+
+// Quantité à recevoir pour revenir au stock minimum
+export const missingStock = (article) => Math.ceil((article.SMINI || 0) - availableStock(article) - (article.ENCDE || 0));
+
+// Disponibilité d'un article dans chaque magasin qui le référence
+export const articleAvailability = async (nart) => {
+  const stores = await Promise.all(
+    STORES.map(async (store) => {
+      const article = await getStoreModel(store.code, "article")
+        .findOne({ NART: nart })
+        .select("NART DESIGN STOCK RESERV ENCDE")
+        .lean();
+      return article && { store, article };
+    })
+  );
+  const found = stores.filter(Boolean);
+  if (!found.length) return null;
+
+  const availability = found.map(({ store, article }) => ({
+    store: store.code,
+    name: store.name,
+    STOCK: article.STOCK,
+    RESERV: article.RESERV,
+    ENCDE: article.ENCDE,
+    available: availableStock(article),
+  }));
+
+  return {
+    NART: nart,
+    DESIGN: found[0].article.DESIGN,
+    available: availability.reduce((total, item) => total + Math.max(item.available, 0), 0),
+    stores: availability,
+  };
+};
+
+// Articles du magasin demandeur : ceux de la liste `narts`, ou à défaut tous les
+// articles passés sous leur stock minimum
+const requestedArticles = (storeCode, narts) => {
+  const filter = narts
+    ? { NART: { $in: narts } }
+    : { SMINI: { $gt: 0 }, $expr: { $lt: [{ $subtract: ["$STOCK", "$RESERV"] }, "$SMINI"] } };
+
+  return getStoreModel(storeCode, "article")
+    .find(filter)
+    .select("NART DESIGN SMINI STOCK RESERV ENCDE")
+    .limit(MAX_TRANSFER_ARTICLES)
+    .lean();
+};
+
+// Proposition pour un article du magasin demandeur
+const suggestion = (article, missing, transfers) => ({
+  NART: article.NART,
+  DESIGN: article.DESIGN,
+  SMINI: article.SMINI,
+  available: availableStock(article),
+  ENCDE: article.ENCDE,
+  missing,
+  uncovered: missing - transfers.reduce((total, transfer) => total + transfer.quantity, 0),
+  transfers,
+});
+
+// Propositions de transfert vers le magasin `storeCode` pour les articles `narts`
+// (ou tous ses articles sous SMINI). Chaque article trouvé est renvoyé : sans besoin
+// (missing à 0) ou sans source, sa liste de transferts est vide.
+// Retourne { suggestions, notFound } : notFound liste les NART demandés absents du magasin.
+export const suggestTransfers = async (storeCode, narts = null) => {
+  const articles = (await requestedArticles(storeCode, narts)).map((article) => ({
+    article,
+    missing: Math.max(missingStock(article), 0),
+  }));
+  const found = new Set(articles.map(({ article }) => article.NART));
+  const notFound = narts ? [...new Set(narts)].filter((nart) => !found.has(nart)) : [];
+
+  const codes = articles.filter(({ missing }) => missing > 0).map(({ article }) => article.NART);
+  if (!codes.length) {
+    return {
+      suggestions: articles.map(({ article, missing }) => suggestion(article, missing, [])),
+      notFound,
+    };
+  }
+
+  const sources = await Promise.all(
+    STORES.filter((store) => store.code !== storeCode).map(async (store) => {
+      const candidates = await getStoreModel(store.code, "article")
+        .find({ NART: { $in: codes } })
+        .select(["NART", "STOCK", "RESERV", "STSECUR", ...SALES_FIELDS].join(" "))
+        .lean();
+      return candidates.map((article) => ({ store, article, surplus: surplusStock(article) }));
+    })
+  );
+
+  // Sources avec excédent, par article, classées par quantité cédable
+  const byNart = new Map();
+  for (const source of sources.flat()) {
+    if (source.surplus <= 0) continue;
+    if (!byNart.has(source.article.NART)) byNart.set(source.article.NART, []);
+    byNart.get(source.article.NART).push(source);
+  }
+
+  const suggestions = articles.map(({ article, missing }) => {
+    const candidates = missing > 0 ? (byNart.get(article.NART) || []).sort((a, b) => b.surplus - a.surplus) : [];
+
+    let remaining = missing;
+    const transfers = [];
+    for (const { store, article: source, surplus } of candidates) {
+      if (remaining <= 0) break;
+      const quantity = Math.min(surplus, remaining);
+      transfers.push({
+        from: store.code,
+        name: store.name,
+        quantity,
+        surplus,
+        available: availableStock(source),
+        STSECUR: source.STSECUR || 0,
+        monthlySales: Math.round(monthlySales(source) * 100) / 100,
+      });
+      remaining -= quantity;
+    }
+
+    return suggestion(article, missing, transfers);
+  });
+
+  return { suggestions, notFound };
+};
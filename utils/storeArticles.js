@@ -0,0 +1,72 @@
+import { STORES } from "../config/stores.js";
+import { getStoreModel } from "../models/bases/index.js";
+
+// Consultation d'un article dans tous les magasins : chaque magasin a sa propre
+// collection d'articles (<prefix>Article), interrogées en parallèle puis regroupées par NART.
+
+// Champs communs de l'article (repris du premier magasin qui le référence)
+export const ARTICLE_FIELDS = ["NART", "DESIGN", "DESIGN2", "DESIFRN", "REFER", "GENCOD", "GENDOUBL", "UNITE", "FOURN", "GROUPE"];
+
+// Champs propres à chaque magasin
+export const ARTICLE_STORE_FIELDS = ["STOCK", "RESERV", "ENCDE", "PVTE", "PVTETTC", "PLACE", "PVPROMO", "DPROMOD", "DPROMOF"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Promotion d'un article à une date : prix promo renseigné et date dans la période
+// (date de fin incluse ; une borne absente laisse la période ouverte de ce côté)
+export const promoStatus = (article, date = new Date()) => {
+  const active =
+    article.PVPROMO > 0 &&
+    (!article.DPROMOD || article.DPROMOD <= date) &&
+    (!article.DPROMOF || article.DPROMOF.getTime() + DAY > date.getTime());
+
+  return {
+    active,
+    price: article.PVPROMO || 0,
+    from: article.DPROMOD || null,
+    to: article.DPROMOF || null,
+  };
+};
+
+// Articles correspondant à `filter` dans tous les magasins : [{ store, article }]
+export const findInAllStores = async (filter) => {
+  const projection = [...ARTICLE_FIELDS, ...ARTICLE_STORE_FIELDS].join(" ");
+
+  const results = await Promise.all(
+    STORES.map(async (store) => {
+      const articles = await getStoreModel(store.code, "article").find(filter).select(projection).lean();
+      return articles.map((article) => ({ store, article }));
+    })
+  );
+
+  return results.flat();
+};
+
+// Vue consolidée par NART : champs communs + une entrée par magasin (ordre du registre)
+export const mergeByNart = (matches, date = new Date()) => {
+  const merged = new Map();
+
+  for (const { store, article } of matches) {
+    if (!merged.has(article.NART)) {
+      merged.set(article.NART, {
+        ...Object.fromEntries(ARTICLE_FIELDS.map((field) => [field, article[field]])),
+        stores: [],
+      });
+    }
+
+    merged.get(article.NART).stores.push({
+      store: store.code,
+      name: store.name,
+      id: article._id,
+      STOCK: article.STOCK,
+      RESERV: article.RESERV,
+      ENCDE: article.ENCDE,
+      PVTE: article.PVTE,
+      PVTETTC: article.PVTETTC,
+      PLACE: article.PLACE,
+      promo: promoStatus(article, date),
+    });
+  }
+
+  return [...merged.values()];
+};